@@ -15,9 +15,28 @@
         ATTR: {
             PREFIX: 'data-',
             VALIDATOR: 'data-validator',
+            WARN: 'data-warn',
             FIELD: 'data-field',
-            CONTAINER: 'data-field-container'
-        }
+            CONTAINER: 'data-field-container',
+            COMPUTE: 'data-compute',
+            LOAD_URL: 'data-load-url',
+            LOAD_IF: 'data-load-if',
+            SOURCE: 'data-source',
+            VALIDATE_ALL: 'data-validate-all',
+            LOCALE: 'data-locale',
+            STRENGTH_METER: 'data-strength-meter',
+            STRENGTH_INPUTS: 'data-strength-inputs'
+        },
+        // Declarative rules: attribute -> action applied while its expression is true
+        DECLARATIVE_ACTIONS: {
+            'data-show-if': 'show',
+            'data-required-if': 'required',
+            'data-disable-if': 'disable'
+        },
+        // Actions supported by _applyAction (keep in sync)
+        ACTIONS: ['enable', 'disable', 'show', 'hide', 'required', 'optional', 'set_value', 'check', 'uncheck',
+            'add_class', 'remove_class', 'focus', 'clear', 'filter_options', 'set_computed_value'],
+        ACTIONS_WITH_PARAM: ['set_value', 'add_class', 'remove_class', 'set_computed_value']
     };
 
     const DEFAULTS = {
@@ -28,6 +47,7 @@
             fieldContainers: ["[data-field-container]", "[id^='container_']", ".field-container"],
             fields: ["[name]", "[data-field]", 'input:not([type="hidden"])', "select", "textarea"],
             feedback: '.invalid-feedback',
+            warningFeedback: '.warning-feedback',
             statusMessage: '.field-status-message',
             statusText: '.status-text',
             innerWrapper: '.field-inner-wrapper'
@@ -37,12 +57,41 @@
             required: ["required-field"],
             hidden: ["d-none"],
             invalid: ["is-invalid"],
-            valid: ["is-valid"]
+            valid: ["is-valid"],
+            unverified: ["is-unverified"],
+            warning: ["is-warning"]
         },
         validationMode: 'lazy', // Options: 'immediate', 'delayed', 'blur', 'lazy'
         validationDelay: 300, // Debounce delay in ms
+        validateAllRules: false, // Report every failing rule of a field, not just the first (per field: data-validate-all)
+        locale: null, // Number locale ("de-DE"): "1.234,50" is parsed as 1234.5. Per field/container: data-locale
+        // Async rules (remote, registered async rules). Overridden per rule by registerRule() options and asyncRules
+        async: {
+            debounce: 500, // ms
+            timeout: 10000, // ms, 0 disables. A timed out check leaves the field "unverified"
+            cacheTTL: 60000, // ms, 0 disables caching of results
+            method: 'GET',
+            headers: {},
+            body: null // remote: 'json', 'form' or (value, el) => body. Sent instead of the "value" query param
+        },
+        asyncRules: {}, // Per-rule overrides: { remote: { method: 'POST', body: 'json' } }
+        strictConfig: false, // Throw on invalid dependency rules instead of reporting them
         i18n: {
-            defaultError: "Validation failed"
+            defaultError: "Validation failed",
+            unverified: "Could not verify the value",
+            // Password strength (strength rule): levels 0-4 and suggestions
+            strength_0: "Very weak",
+            strength_1: "Weak",
+            strength_2: "Fair",
+            strength_3: "Strong",
+            strength_4: "Very strong",
+            strength_personal: "Avoid your name or email",
+            strength_common: "Avoid common passwords",
+            strength_keyboard: "Avoid keyboard patterns like qwerty",
+            strength_sequence: "Avoid sequences like abc or 123",
+            strength_repeat: "Avoid repeated characters",
+            strength_length: "Use at least 12 characters",
+            strength_variety: "Mix upper and lower case letters, digits and symbols"
         }
     };
 
@@ -153,6 +202,165 @@
             } else {
                 el.value = (val === null || val === undefined) ? '' : val;
             }
+        },
+
+        /**
+         * Splits a Go-style layout (e.g. "02.01.2006 15:04") into tokens and literals
+         */
+        _splitDateLayout(layout) {
+            const TOKENS = ['2006', 'Z0700', 'MST', 'Jan', 'PM', '01', '02', '03', '04', '05', '06', '15'];
+            const parts = [];
+            let i = 0;
+            while (i < layout.length) {
+                const token = TOKENS.find(t => layout.startsWith(t, i));
+                if (token) {
+                    parts.push({ token });
+                    i += token.length;
+                } else {
+                    parts.push({ literal: layout[i++] });
+                }
+            }
+            return parts;
+        },
+
+        /**
+         * Parses a date string. Uses a Go-style layout if given, ISO 8601 otherwise.
+         * Dates without time are local midnight.
+         * @param {string} str
+         * @param {string} [layout]
+         * @returns {Date|null}
+         */
+        parseDate(str, layout) {
+            if (str === null || str === undefined || String(str).trim() === '') return null;
+            str = String(str).trim();
+
+            if (!layout) {
+                const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(str);
+                if (iso) {
+                    const isoLayout = iso[6] ? '2006-01-02T15:04:05' : (iso[4] ? '2006-01-02T15:04' : '2006-01-02');
+                    return this.parseDate(str.replace(' ', 'T'), isoLayout);
+                }
+                if (/^\d+$/.test(str)) return null; // Date.parse("5") would be a valid year
+                const ts = Date.parse(str);
+                return isNaN(ts) ? null : new Date(ts);
+            }
+
+            const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+            const PATTERNS = {
+                '2006': '(\\d{4})', '06': '(\\d{2})', '01': '(\\d{2})', '02': '(\\d{2})', '15': '(\\d{2})',
+                '03': '(\\d{2})', '04': '(\\d{2})', '05': '(\\d{2})', 'PM': '(AM|PM)', 'MST': '([A-Z]{3})',
+                'Z0700': '([+-]\\d{4})', 'Jan': '([A-Za-z]{3})'
+            };
+            const parts = this._splitDateLayout(layout);
+            const tokens = parts.filter(p => p.token).map(p => p.token);
+            const pattern = parts.map(p => p.token ? PATTERNS[p.token] : p.literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('');
+            const match = new RegExp(`^${pattern}$`).exec(str);
+            if (!match) return null;
+
+            const d = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, pm: null, offset: null };
+            tokens.forEach((token, idx) => {
+                const v = match[idx + 1];
+                switch (token) {
+                    case '2006': d.year = Number(v); break;
+                    case '06': d.year = 2000 + Number(v); break;
+                    case '01': d.month = Number(v); break;
+                    case 'Jan': d.month = MONTHS.indexOf(v.toLowerCase()) + 1; break;
+                    case '02': d.day = Number(v); break;
+                    case '15': case '03': d.hour = Number(v); break;
+                    case '04': d.minute = Number(v); break;
+                    case '05': d.second = Number(v); break;
+                    case 'PM': d.pm = v === 'PM'; break;
+                    case 'Z0700': d.offset = (v[0] === '-' ? -1 : 1) * (Number(v.slice(1, 3)) * 60 + Number(v.slice(3, 5))); break;
+                }
+            });
+            if (d.pm !== null) d.hour = (d.hour % 12) + (d.pm ? 12 : 0);
+
+            // Reject overflow such as 31.02 or 25:00
+            const utc = Date.UTC(d.year, d.month - 1, d.day, d.hour, d.minute, d.second);
+            const probe = new Date(utc);
+            if (probe.getUTCMonth() !== d.month - 1 || probe.getUTCDate() !== d.day || probe.getUTCHours() !== d.hour ||
+                probe.getUTCMinutes() !== d.minute || probe.getUTCSeconds() !== d.second) return null;
+
+            if (d.offset !== null) return new Date(utc - d.offset * 60000);
+            const date = new Date(d.year, d.month - 1, d.day, d.hour, d.minute, d.second);
+            date.setFullYear(d.year); // Years < 100 are otherwise mapped to 19xx
+            return date;
+        },
+
+        /**
+         * Formats a date with a Go-style layout (local time)
+         * @param {Date} date
+         * @param {string} [layout] Defaults to ISO date "2006-01-02"
+         * @returns {string}
+         */
+        formatDate(date, layout = '2006-01-02') {
+            if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+            const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+            const pad = (n, len = 2) => String(n).padStart(len, '0');
+            const hours = date.getHours();
+            const offset = -date.getTimezoneOffset();
+            const values = {
+                '2006': pad(date.getFullYear(), 4), '06': pad(date.getFullYear() % 100),
+                '01': pad(date.getMonth() + 1), 'Jan': MONTHS[date.getMonth()], '02': pad(date.getDate()),
+                '15': pad(hours), '03': pad(hours % 12 || 12), '04': pad(date.getMinutes()), '05': pad(date.getSeconds()),
+                'PM': hours >= 12 ? 'PM' : 'AM', 'MST': '',
+                'Z0700': (offset < 0 ? '-' : '+') + pad(Math.floor(Math.abs(offset) / 60)) + pad(Math.abs(offset) % 60)
+            };
+            return this._splitDateLayout(layout).map(p => p.token ? values[p.token] : p.literal).join('');
+        },
+
+        /**
+         * Group and decimal separators of a locale, e.g. de-DE -> {group: ".", decimal: ","}
+         */
+        getNumberSeparators(locale) {
+            const cache = this._separators || (this._separators = new Map());
+            if (!cache.has(locale)) {
+                const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+                const find = (type) => (parts.find(p => p.type === type) || {}).value;
+                cache.set(locale, { group: find('group') || ',', decimal: find('decimal') || '.' });
+            }
+            return cache.get(locale);
+        },
+
+        /**
+         * Parses a number typed in a locale ("1 234,50" in fr-FR). Without a locale this is Number().
+         * @param {*} value
+         * @param {string|null} [locale]
+         * @returns {number} NaN if the text is not a number
+         */
+        parseNumber(value, locale = null) {
+            if (typeof value === 'number' || !locale) return Number(value);
+            const text = String(value === null || value === undefined ? '' : value).trim();
+            if (text === '') return Number(text);
+            const { group, decimal } = this.getNumberSeparators(locale);
+            // Any whitespace is a group separator (fr-FR uses a narrow no-break space)
+            const plain = text.split(group).join('').replace(/\s/g, '').split(decimal).join('.');
+            if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(plain)) return NaN;
+            return Number(plain);
+        },
+
+        /**
+         * Canonical form ("1234.5") of a localized number string, for expressions. Other values,
+         * including plain digit strings like "007", are returned unchanged.
+         */
+        normalizeNumber(value, locale = null) {
+            if (!locale || typeof value !== 'string' || /^[-+]?\d+$/.test(value.trim())) return value;
+            const n = this.parseNumber(value, locale);
+            return isNaN(n) ? value : String(n);
+        },
+
+        /**
+         * Formats a number in a locale (grouped, same fraction digits as String(n))
+         * @param {number} n
+         * @param {string|null} [locale]
+         * @returns {string|number} n itself without a locale or for non-finite numbers
+         */
+        formatNumber(n, locale = null) {
+            if (!locale || typeof n !== 'number' || !isFinite(n)) return n;
+            const [int, frac] = String(Math.abs(n)).split('.');
+            if (/e/i.test(int)) return String(n);
+            const head = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(Number(int));
+            return (n < 0 ? '-' : '') + head + (frac ? this.getNumberSeparators(locale).decimal + frac : '');
         }
     };
 
@@ -162,161 +370,540 @@
         /**
          * Safe evaluation of expressions
          */
-        static evaluate(expression, value, stateProvider, fieldProvider) {
+        static evaluate(expression, value, stateProvider, fieldProvider, functions) {
             if (!expression || typeof expression !== 'string') return false;
-            
+
             try {
-                const context = {
-                    value: value,
-                    disabled: stateProvider("disabled"),
-                    readonly: stateProvider("readonly"),
-                    required: stateProvider("required"),
-                    visible: stateProvider("visible"),
-                    checked: stateProvider("checked")
-                };
-                return this._evaluateRecursive(expression.trim(), context, fieldProvider);
+                const context = this._createContext(value, stateProvider);
+                return this.compile(expression, functions).evaluate(context, fieldProvider, functions);
             } catch (e) {
                 console.error("[KrisForm] Security/Parse Error in evaluator:", e);
-                return false;
+                return null;
             }
         }
 
-        static _evaluateRecursive(expr, context, fieldProvider) {
-            // Remove outer parens safely
-            while (expr.startsWith("(") && expr.endsWith(")")) {
-                // Check if the outer parens are a matching pair covering the whole expression
-                let depth = 0;
-                let isPair = true;
-                // Scan content excluding the very last char (which is known ')')
-                for (let i = 0; i < expr.length - 1; i++) {
-                    if (expr[i] === '(') depth++;
-                    else if (expr[i] === ')') depth--;
-                    
-                    // If depth hits 0 before the end, the start/end parens are NOT a pair
-                    // Example: "(a) && (b)" -> depth hits 0 after (a)
-                    if (depth === 0) {
-                        isPair = false;
-                        break;
-                    }
-                }
-                
-                if (isPair) {
-                    expr = expr.slice(1, -1).trim();
-                } else {
-                    break;
+        /**
+         * Compiles an expression once into a reusable evaluator.
+         * Results (including syntax errors) are cached per expression string, up to 500 strings.
+         * Called functions must be built-in, registered globally or present in `functions`.
+         * @param {string} expression
+         * @param {Object} [functions] Per-instance function registry
+         * @returns {{source: string, ast: Object, evaluate: function(Object, function, Object=): *}}
+         */
+        static compile(expression, functions) {
+            const source = String(expression).trim();
+            let entry = this._cache.get(source);
+
+            if (!entry) {
+                try {
+                    const ast = this.parse(source);
+                    entry = {
+                        compiled: Object.freeze({
+                            source,
+                            ast,
+                            evaluate: (context, fieldProvider, functions) => this._evalNode(ast, context || {}, fieldProvider, functions)
+                        })
+                    };
+                } catch (e) {
+                    entry = { error: e };
                 }
-            }
-            let splitIdx = this._findSplitIndex(expr, "||");
-            if (splitIdx !== -1) {
-                return this._evaluateRecursive(expr.substring(0, splitIdx), context, fieldProvider) || 
-                       this._evaluateRecursive(expr.substring(splitIdx + 2), context, fieldProvider);
+                if (this._cache.size >= 500) this._cache.clear(); // Computed expression strings would grow it forever
+                this._cache.set(source, entry);
             }
 
-            // Logical AND
-            splitIdx = this._findSplitIndex(expr, "&&");
-            if (splitIdx !== -1) {
-                return this._evaluateRecursive(expr.substring(0, splitIdx), context, fieldProvider) && 
-                       this._evaluateRecursive(expr.substring(splitIdx + 2), context, fieldProvider);
-            }
+            if (entry.error) throw entry.error;
+            // Not cached: the registries can change after the expression was first parsed
+            this.getCalledFunctions(entry.compiled).forEach(name => this._resolveFunction(name, functions));
+            return entry.compiled;
+        }
+
+        /**
+         * Builds the evaluation context of a source field.
+         * `layout` is the source's date layout, used when "value" is passed to a date function.
+         */
+        static _createContext(value, stateProvider, layout = null) {
+            return {
+                value: value,
+                disabled: stateProvider("disabled"),
+                readonly: stateProvider("readonly"),
+                required: stateProvider("required"),
+                visible: stateProvider("visible"),
+                checked: stateProvider("checked"),
+                [this.VALUE_LAYOUT]: layout
+            };
+        }
 
-            return this._evaluateAtom(expr, context, fieldProvider);
+        /**
+         * Evaluates an expression against a custom context
+         */
+        static _evaluateRecursive(expr, context, fieldProvider, functions) {
+            return this.compile(expr, functions).evaluate(context, fieldProvider, functions);
         }
 
-        static _findSplitIndex(text, sep) {
-            let depth = 0;
-            const sepLen = sep.length;
-            for (let i = 0; i < text.length; i++) {
-                if (text[i] === '(') depth++;
-                else if (text[i] === ')') depth--;
-                else if (depth === 0 && text.substring(i, i + sepLen) === sep) {
-                    return i;
+        /**
+         * Builds an AST from an expression string.
+         * Throws on syntax errors or calls to non-whitelisted methods.
+         * Plain function calls are resolved against the registry at evaluation time.
+         */
+        static parse(expr) {
+            const tokens = this._tokenize(String(expr));
+            let pos = 0;
+
+            const peek = () => tokens[pos];
+            const next = () => tokens[pos++];
+            const isOp = (value) => peek().type === 'op' && peek().value === value;
+            const fail = (token) => {
+                const text = token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+                throw new Error(`KrisForm: Unexpected ${text} at position ${token.pos} in "${expr}"`);
+            };
+            const expect = (value) => {
+                if (!isOp(value)) fail(peek());
+                return next();
+            };
+
+            // Binary precedence table (higher binds tighter)
+            const BINARY = {
+                '||': 1, '&&': 2,
+                '===': 3, '!==': 3, '==': 3, '!=': 3,
+                '>': 4, '<': 4, '>=': 4, '<=': 4,
+                '+': 5, '-': 5,
+                '*': 6, '/': 6, '%': 6
+            };
+
+            const parseExpression = () => {
+                const test = parseBinary(1);
+                if (!isOp('?')) return test;
+                next();
+                const consequent = parseExpression();
+                expect(':');
+                const alternate = parseExpression();
+                return { type: 'Conditional', test, consequent, alternate };
+            };
+
+            // Precedence climbing
+            const parseBinary = (minPrec) => {
+                let left = parseUnary();
+                while (peek().type === 'op' && BINARY[peek().value] >= minPrec) {
+                    const op = next().value;
+                    const right = parseBinary(BINARY[op] + 1);
+                    const type = (op === '&&' || op === '||') ? 'Logical' : 'Binary';
+                    left = { type, op, left, right };
                 }
-            }
-            return -1;
+                return left;
+            };
+
+            const parseUnary = () => {
+                if (isOp('!') || isOp('-') || isOp('+')) {
+                    const op = next().value;
+                    return { type: 'Unary', op, argument: parseUnary() };
+                }
+                return parsePostfix();
+            };
+
+            const isOpAt = (offset, value) => {
+                const token = tokens[pos + offset];
+                return !!token && token.type === 'op' && token.value === value;
+            };
+
+            // Lambdas are only allowed as call arguments: any(fields.items[], x => x.qty > 0)
+            const parseArgument = () => {
+                if (peek().type === 'ident' && isOpAt(1, '=>')) {
+                    const param = next().value;
+                    next();
+                    return { type: 'Lambda', param, body: parseExpression() };
+                }
+                return parseExpression();
+            };
+
+            const parsePostfix = () => {
+                let node = parsePrimary();
+                for (;;) {
+                    if (isOp('.')) {
+                        next();
+                        const prop = next();
+                        if (prop.type !== 'ident') fail(prop);
+                        if (node.type === 'FieldArray') {
+                            node.path.push(prop.value);
+                            continue;
+                        }
+                        node = { type: 'Member', object: node, property: { type: 'Literal', value: prop.value } };
+                    } else if (isOp('[') && isOpAt(1, ']') && this._fieldRefName(node) !== null) {
+                        // Repeated fields: fields.items[] or fields.items[].price
+                        next();
+                        next();
+                        node = { type: 'FieldArray', name: this._fieldRefName(node), path: [] };
+                    } else if (isOp('[')) {
+                        next();
+                        const property = parseExpression();
+                        expect(']');
+                        node = { type: 'Member', object: node, property };
+                    } else if (isOp('(')) {
+                        const callPos = next().pos;
+                        const args = [];
+                        if (!isOp(')')) {
+                            args.push(parseArgument());
+                            while (isOp(',')) {
+                                next();
+                                args.push(parseArgument());
+                            }
+                        }
+                        expect(')');
+                        node = { type: 'Call', callee: node, args };
+                        this._assertCallable(node, callPos, expr);
+                    } else {
+                        return node;
+                    }
+                }
+            };
+
+            const parsePrimary = () => {
+                const token = next();
+                if (token.type === 'number' || token.type === 'string' || token.type === 'date') return { type: 'Literal', value: token.value };
+                if (token.type === 'ident') {
+                    if (token.value === 'true') return { type: 'Literal', value: true };
+                    if (token.value === 'false') return { type: 'Literal', value: false };
+                    if (token.value === 'null') return { type: 'Literal', value: null };
+                    if (token.value === 'undefined') return { type: 'Literal', value: undefined };
+                    return { type: 'Identifier', name: token.value };
+                }
+                if (token.type === 'op' && token.value === '(') {
+                    const node = parseExpression();
+                    expect(')');
+                    return node;
+                }
+                return fail(token);
+            };
+
+            const ast = parseExpression();
+            if (peek().type !== 'eof') fail(peek());
+            return ast;
         }
 
-        static _evaluateAtom(expr, context, fieldProvider) {
-            expr = expr.trim();
-            const operators = ["===", "!==", "==", "!=", ">=", "<=", ">", "<"];
-            
-            for (const op of operators) {
-                const idx = expr.indexOf(op);
-                if (idx !== -1) {
-                    const left = expr.substring(0, idx).trim();
-                    const right = expr.substring(idx + op.length).trim();
-                    return this._compare(
-                        this._resolve(left, context, fieldProvider), 
-                        this._resolve(right, context, fieldProvider), 
-                        op
-                    );
+        static _tokenize(expr) {
+            const tokens = [];
+            const OPERATORS = ["===", "!==", "==", "!=", ">=", "<=", "=>", "&&", "||", ">", "<", "+", "-", "*", "/", "%", "!", "?", ":", "(", ")", "[", "]", ",", "."];
+            const isFieldName = (dot, root) => !!dot && dot.type === 'op' && dot.value === '.'
+                && !!root && root.type === 'ident' && (root.value === 'fields' || root.value === 'source');
+            let i = 0;
+
+            while (i < expr.length) {
+                const ch = expr[i];
+
+                if (/\s/.test(ch)) { i++; continue; }
+
+                // Numbers: 10, 1.5, .5, 1e3
+                if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(expr[i + 1] || ''))) {
+                    const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(expr.slice(i));
+                    tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+                    i += match[0].length;
+                    continue;
+                }
+
+                // Date literals: #2024-01-31# or #2024-01-31T10:00#
+                if (ch === '#') {
+                    const end = expr.indexOf('#', i + 1);
+                    const date = end === -1 ? null : Utils.parseDate(expr.slice(i + 1, end));
+                    if (!date) throw new Error(`KrisForm: Invalid date literal at position ${i} in "${expr}"`);
+                    tokens.push({ type: 'date', value: date, pos: i });
+                    i = end + 1;
+                    continue;
+                }
+
+                // Strings with backslash escapes
+                if (ch === '"' || ch === "'") {
+                    let str = '';
+                    let j = i + 1;
+                    while (j < expr.length && expr[j] !== ch) {
+                        if (expr[j] === '\\' && j + 1 < expr.length) j++;
+                        str += expr[j++];
+                    }
+                    if (j >= expr.length) throw new Error(`KrisForm: Unterminated string at position ${i} in "${expr}"`);
+                    tokens.push({ type: 'string', value: str, pos: i });
+                    i = j + 1;
+                    continue;
+                }
+
+                // Field names after "fields." / "source." may contain any letters, digits and inner hyphens
+                // ("fields.first-name", "fields.имя"); subtract with spaces: "fields.qty - 1"
+                const prev = tokens[tokens.length - 2];
+                if (isFieldName(tokens[tokens.length - 1], prev) && /[\p{L}\p{N}_$]/u.test(ch)) {
+                    const match = /^[\p{L}\p{N}_$]+(?:-[\p{L}\p{N}_$]+)*/u.exec(expr.slice(i));
+                    tokens.push({ type: 'ident', value: match[0], pos: i });
+                    i += match[0].length;
+                    continue;
+                }
+
+                if (/[\p{L}_$]/u.test(ch)) {
+                    const match = /^[\p{L}_$][\p{L}\p{N}_$]*/u.exec(expr.slice(i));
+                    tokens.push({ type: 'ident', value: match[0], pos: i });
+                    i += match[0].length;
+                    continue;
                 }
+
+                // Anything outside the operator list (e.g. assignment "=") is rejected
+                const op = OPERATORS.find(o => expr.startsWith(o, i));
+                if (!op) throw new Error(`KrisForm: Unexpected character '${ch}' at position ${i} in "${expr}"`);
+                tokens.push({ type: 'op', value: op, pos: i });
+                i += op.length;
             }
 
-            // Method whitelist (Security)
+            tokens.push({ type: 'eof', pos: expr.length });
+            return tokens;
+        }
+
+        /**
+         * Security: only whitelisted functions and methods may be called
+         */
+        static _assertCallable(node, pos, expr) {
+            const callee = node.callee;
+            const MATH_FUNCTIONS = ['max', 'min', 'round', 'floor', 'ceil', 'abs'];
             const ALLOWED_METHODS = ['includes', 'startsWith', 'endsWith'];
-            for (const method of ALLOWED_METHODS) {
-                const methodStr = `.${method}(`;
-                if (expr.includes(methodStr)) {
-                    return this._evalMethod(expr, context, method, fieldProvider);
+
+            if (callee.type === 'Identifier') return; // Checked against the function registries by compile()
+            if (callee.type === 'Member' && callee.property.type === 'Literal') {
+                const name = callee.property.value;
+                const isMath = callee.object.type === 'Identifier' && callee.object.name === 'Math';
+                if (isMath && MATH_FUNCTIONS.includes(name)) return;
+                if (!isMath && ALLOWED_METHODS.includes(name)) return;
+            }
+            throw new Error(`KrisForm: Call not allowed at position ${pos} in "${expr}"`);
+        }
+
+        static _evalNode(node, context, fieldProvider, functions) {
+            switch (node.type) {
+                case 'Literal':
+                    return node.value;
+
+                case 'Identifier':
+                    // Direct Context only. Globals (window, document...) are never reachable.
+                    return Object.prototype.hasOwnProperty.call(context, node.name) ? context[node.name] : null;
+
+                case 'Member':
+                    return this._evalMember(node, context, fieldProvider, functions);
+
+                case 'FieldArray':
+                    return (fieldProvider && fieldProvider.collect) ? fieldProvider.collect(node.name, node.path) : [];
+
+                case 'Lambda':
+                    return (item) => {
+                        const scope = Object.assign({}, context, { [node.param]: item });
+                        return this._evalNode(node.body, scope, fieldProvider, functions);
+                    };
+
+                case 'Call':
+                    return this._evalCall(node, context, fieldProvider, functions);
+
+                case 'Unary': {
+                    const arg = this._evalNode(node.argument, context, fieldProvider, functions);
+                    if (node.op === '!') return !arg;
+                    if (node.op === '-') return -(Number(arg) || 0);
+                    return Number(arg) || 0;
                 }
+
+                case 'Logical': {
+                    const left = this._evalNode(node.left, context, fieldProvider, functions);
+                    if (node.op === '&&') return left ? this._evalNode(node.right, context, fieldProvider, functions) : left;
+                    return left ? left : this._evalNode(node.right, context, fieldProvider, functions);
+                }
+
+                case 'Conditional':
+                    return this._evalNode(node.test, context, fieldProvider, functions)
+                        ? this._evalNode(node.consequent, context, fieldProvider, functions)
+                        : this._evalNode(node.alternate, context, fieldProvider, functions);
+
+                case 'Binary': {
+                    const left = this._evalNode(node.left, context, fieldProvider, functions);
+                    const right = this._evalNode(node.right, context, fieldProvider, functions);
+                    if (['+', '-', '*', '/', '%'].includes(node.op)) return this._evalArithmetic(node.op, left, right);
+                    return this._compare(left, right, node.op);
+                }
+
+                default:
+                    return null;
+            }
+        }
+
+        static _evalMember(node, context, fieldProvider, functions) {
+            const key = this._evalNode(node.property, context, fieldProvider, functions);
+            const obj = node.object;
+
+            // Dynamic Fields
+            if (obj.type === 'Identifier' && obj.name === 'fields') {
+                return fieldProvider ? fieldProvider(String(key).trim()) : null;
+            }
+            if (obj.type === 'Identifier' && obj.name === 'source') {
+                return Object.prototype.hasOwnProperty.call(context, key) ? context[key] : null;
             }
 
-            // Math Functions Support
-            if (expr.startsWith("Math.max(") || expr.startsWith("max(")) return this._evalMathFunction(expr, "max", context, fieldProvider);
-            if (expr.startsWith("Math.min(") || expr.startsWith("min(")) return this._evalMathFunction(expr, "min", context, fieldProvider);
+            // Nested Property Access (Protected from Prototype Pollution)
+            // SECURITY: Prevent accessing dangerous properties
+            if (key === '__proto__' || key === 'constructor' || key === 'prototype') return null;
+
+            const v = this._evalNode(obj, context, fieldProvider, functions);
+            if (v === null || v === undefined) return null;
+            return v[key];
+        }
+
+        static _evalCall(node, context, fieldProvider, functions) {
+            const callee = node.callee;
+            const isDateFn = callee.type === 'Identifier' && this.DATE_FUNCTIONS.includes(callee.name);
+            const args = node.args.map(arg => {
+                const value = this._evalNode(arg, context, fieldProvider, functions);
+                if (!isDateFn || typeof value !== 'string') return value;
+                // Date fields are parsed with their own layout (e.g. data-validator="datetime:02.01.2006")
+                const fieldName = this._fieldRefName(arg);
+                let layout = null;
+                if (fieldName !== null) layout = (fieldProvider && fieldProvider.layout) ? fieldProvider.layout(fieldName) : null;
+                else if (arg.type === 'Identifier' && arg.name === 'value') layout = context[this.VALUE_LAYOUT];
+                return layout ? Utils.parseDate(value, layout) : value;
+            });
+
+            // Function library: round(...), Math.round(...), registered functions
+            if (callee.type === 'Identifier') return this._evalMathFunction(callee.name, args, functions);
+            if (callee.object.type === 'Identifier' && callee.object.name === 'Math') {
+                return this._evalMathFunction(callee.property.value, args);
+            }
 
-            // Arithmetic Operations (Simple parser for + - * /)
-            if (/[\+\-\*\/]/.test(expr)) {
-                return this._evalArithmetic(expr, context, fieldProvider);
+            // Method whitelist (checked at parse time)
+            const method = callee.property.value;
+            const targetVal = this._evalNode(callee.object, context, fieldProvider, functions);
+            if (typeof targetVal === 'string' || Array.isArray(targetVal)) {
+                return targetVal[method](args[0]);
             }
+            return false;
+        }
+
+        /**
+         * Field name of a direct "fields.X" / "fields['X']" reference, or null
+         */
+        static _fieldRefName(node) {
+            if (node.type !== 'Member' || node.object.type !== 'Identifier' || node.object.name !== 'fields') return null;
+            return node.property.type === 'Literal' ? String(node.property.value) : null;
+        }
+
+        static _evalMathFunction(func, args, functions) {
+            return this._resolveFunction(func, functions)(...args);
+        }
+
+        /**
+         * Security: only built-in or registered functions can be called.
+         * Per-instance functions take precedence over global ones.
+         */
+        static _resolveFunction(name, functions) {
+            if (functions && Object.prototype.hasOwnProperty.call(functions, name)) return functions[name];
+            if (Object.prototype.hasOwnProperty.call(this.FUNCTIONS, name)) return this.FUNCTIONS[name];
+            const error = new Error(`KrisForm: Unknown function "${name}"`);
+            error.code = 'unknown_function'; // Reported as such by validateConfig()
+            throw error;
+        }
 
-            const val = this._resolve(expr, context, fieldProvider);
-            return val;
+        /**
+         * Registers a function callable from expressions.
+         * Pure functions (same args -> same result) are memoized.
+         * @param {string} name
+         * @param {Function} fn
+         * @param {{pure?: boolean}} [options]
+         * @param {Object} [registry] Target registry (defaults to the global one)
+         */
+        static registerFunction(name, fn, options = {}, registry = this.FUNCTIONS) {
+            if (!/^[A-Za-z_$][\w$]*$/.test(String(name))) throw new Error(`KrisForm: Invalid function name "${name}"`);
+            if (typeof fn !== 'function') throw new Error(`KrisForm: Function "${name}" must be a function`);
+            registry[name] = options.pure ? this._memoize(fn) : fn;
         }
 
-        static _evalMathFunction(expr, func, context, fieldProvider) {
-            // Extract arguments: max(a, b + c, d)
-            const argsStr = expr.substring(expr.indexOf('(') + 1, expr.lastIndexOf(')'));
-            const parts = argsStr.split(',').map(s => s.trim());
+        static _memoize(fn) {
+            const MAX_ENTRIES = 100;
+            const cache = new Map();
+            return (...args) => {
+                // Only primitive arguments are cacheable
+                if (args.some(a => a !== null && typeof a === 'object')) return fn(...args);
+                const key = JSON.stringify(args);
+                if (cache.has(key)) return cache.get(key);
+                const result = fn(...args);
+                if (cache.size >= MAX_ENTRIES) cache.clear();
+                cache.set(key, result);
+                return result;
+            };
+        }
 
-            const values = parts.map(p => {
-                // Recursive eval for arguments (supports "fields.a + fields.b")
-                return this._evaluateRecursive(p, context, fieldProvider);
+        /**
+         * Visits every node of an AST (depth-first)
+         */
+        static _walk(node, visitor) {
+            if (!node || typeof node !== 'object') return;
+            visitor(node);
+            ['object', 'property', 'callee', 'argument', 'left', 'right', 'test', 'consequent', 'alternate', 'body'].forEach(key => {
+                if (node[key]) this._walk(node[key], visitor);
             });
+            if (node.args) node.args.forEach(arg => this._walk(arg, visitor));
+        }
 
-            const nums = values.map(v => Number(v) || 0);
+        /**
+         * Names of the fields ("fields.X") read by a compiled expression
+         */
+        static getFieldRefs(compiled) {
+            const names = new Set();
+            this._walk(compiled.ast, node => {
+                const name = this._fieldRefName(node);
+                if (name !== null) names.add(name);
+            });
+            return [...names];
+        }
 
-            if (func === 'max') return Math.max(...nums);
-            if (func === 'min') return Math.min(...nums);
-            return 0;
+        /**
+         * Names of the repeated fields ("fields.items[]") read by a compiled expression
+         */
+        static getFieldArrayRefs(compiled) {
+            const names = new Set();
+            this._walk(compiled.ast, node => {
+                if (node.type === 'FieldArray') names.add(node.name);
+            });
+            return [...names];
         }
 
-        static _evalArithmetic(expr, context, fieldProvider) {
-            // Very simple parser: splits by operators and aggregates.
-            const terms = expr.split('+');
-            if (terms.length > 1) {
-                return terms.reduce((acc, term) => acc + (Number(this._resolve(term.trim(), context, fieldProvider)) || 0), 0);
-            }
-            return 0;
+        /**
+         * Names of the plain functions called by a compiled expression
+         */
+        static getCalledFunctions(compiled) {
+            const names = new Set();
+            this._walk(compiled.ast, node => {
+                if (node.type === 'Call' && node.callee.type === 'Identifier') names.add(node.callee.name);
+            });
+            return [...names];
         }
 
-        static _evalMethod(expr, context, method, fieldProvider) {
-            const parts = expr.split(`.${method}(`);
-            if (parts.length < 2) return false;
-            
-            const targetExpr = parts[0].trim();
-            const argExpr = parts[1].replace(/\)$/, "").trim();
-            
-            const targetVal = this._resolve(targetExpr, context, fieldProvider);
-            const argVal = this._resolve(argExpr, context, fieldProvider);
-            
-            if (typeof targetVal === 'string' || Array.isArray(targetVal)) {
-                return targetVal[method](argVal);
+        static _evalArithmetic(op, left, right) {
+            // Field values arrive as strings: "10" + "5" is 15, but non-numeric text concatenates
+            if (op === '+') {
+                const isText = (v) => typeof v === 'string' && v.trim() !== '' && isNaN(Number(v));
+                if (isText(left) || isText(right)) return [left, right].map(v => (v === null || v === undefined) ? '' : String(v)).join('');
+            }
+
+            const a = Number(left) || 0;
+            const b = Number(right) || 0;
+            switch (op) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                // Avoid Infinity/NaN leaking into computed fields
+                case '/': return b === 0 ? 0 : a / b;
+                case '%': return b === 0 ? 0 : a % b;
+                default: return 0;
             }
-            return false;
         }
 
         static _compare(left, right, op) {
+            const isOrdering = ['>', '<', '>=', '<='].includes(op);
+            // null (e.g. age() of an unparseable date) never matches an ordering: age(value) < 18 is false
+            if (isOrdering && (left === null || left === undefined || right === null || right === undefined)) return false;
+            // Dates compare by time; an empty/invalid date never matches an ordering
+            if (left instanceof Date || right instanceof Date) {
+                const l = left instanceof Date ? left.getTime() : NaN;
+                const r = right instanceof Date ? right.getTime() : NaN;
+                if (isNaN(l) || isNaN(r)) return op === '!==' || op === '!=';
+                left = l;
+                right = r;
+            }
             switch (op) {
                 case "===": return left === right;
                 case "!==": return left !== right;
@@ -329,54 +916,139 @@
                 default: return false;
             }
         }
+    }
 
-        static _resolve(expr, context, fieldProvider) {
-            expr = expr.trim();
-            
-            // Literals
-            if ((expr.startsWith("'") && expr.endsWith("'")) || (expr.startsWith('"') && expr.endsWith('"'))) return expr.slice(1, -1);
-            if (!isNaN(Number(expr)) && expr !== "") return Number(expr);
-            if (expr === "true") return true;
-            if (expr === "false") return false;
-            if (expr === "null") return null;
-            if (expr === "undefined") return undefined;
+    // --- Expression Function Library (whitelist) ---
+
+    const toNumber = (v) => Number(v) || 0;
+    // Aggregates accept both lists of arguments and arrays (e.g. checkbox groups)
+    const flattenArgs = (args) => args.reduce((acc, v) => acc.concat(Array.isArray(v) ? v : [v]), []);
+    // ...and an optional trailing mapper: sum(fields.items[], x => x.price * x.qty)
+    const aggregateArgs = (args) => {
+        const mapper = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        const values = flattenArgs(mapper ? args.slice(0, -1) : args);
+        return mapper ? values.map(v => mapper(v)) : values;
+    };
+    const isBlank = (v) => v === null || v === undefined || v === '';
+    // null rather than -Infinity/Infinity when there is nothing to compare (e.g. an empty group)
+    const extremum = (fn, args) => {
+        const values = aggregateArgs(args);
+        return values.length ? fn(...values.map(toNumber)) : null;
+    };
+    const toArray = (v) => Array.isArray(v) ? v : (isBlank(v) ? [] : [v]);
+
+    const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    const toDate = (v, layout) => {
+        if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+        if (typeof v === 'number') return new Date(v);
+        if (typeof v === 'string') return Utils.parseDate(v, layout);
+        return null;
+    };
+    // Clamps to the last day of the month: addMonths(#2024-01-31#, 1) is 2024-02-29
+    const addMonths = (d, n) => {
+        if (!d) return null;
+        const result = new Date(d.getTime());
+        result.setDate(1);
+        result.setMonth(result.getMonth() + n);
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(d.getDate(), lastDay));
+        return result;
+    };
 
-            // Direct Context
-            if (Object.prototype.hasOwnProperty.call(context, expr)) return context[expr];
+    Evaluator.FUNCTIONS = {
+        // --- Math ---
+        max: (...args) => extremum(Math.max, args),
+        min: (...args) => extremum(Math.min, args),
+        round: (x, digits = 0) => {
+            const n = toNumber(x);
+            const d = Math.trunc(toNumber(digits));
+            // Exponent notation avoids binary float errors: round(1.005, 2) === 1.01
+            const shifted = Number(`${n}e${d}`);
+            if (isNaN(shifted)) return Math.round(n * Math.pow(10, d)) / Math.pow(10, d); // n already in exponent form
+            return Number(`${Math.round(shifted)}e${-d}`);
+        },
+        floor: (x) => Math.floor(toNumber(x)),
+        ceil: (x) => Math.ceil(toNumber(x)),
+        abs: (x) => Math.abs(toNumber(x)),
+        number: (x) => toNumber(x),
+
+        // --- Aggregates ---
+        sum: (...args) => aggregateArgs(args).reduce((acc, v) => acc + toNumber(v), 0),
+        avg: (...args) => {
+            const values = aggregateArgs(args).filter(v => !isBlank(v));
+            return values.length ? values.reduce((acc, v) => acc + toNumber(v), 0) / values.length : 0;
+        },
+        count: (arr, predicate) => {
+            if (!Array.isArray(arr)) return (isBlank(arr) || arr === false) ? 0 : 1;
+            return typeof predicate === 'function' ? arr.filter(v => predicate(v)).length : arr.length;
+        },
+        any: (arr, predicate) => toArray(arr).some(v => typeof predicate === 'function' ? !!predicate(v) : !!v),
+        all: (arr, predicate) => toArray(arr).every(v => typeof predicate === 'function' ? !!predicate(v) : !!v),
+
+        // --- Strings ---
+        len: (str) => isBlank(str) ? 0 : (Array.isArray(str) ? str.length : String(str).length),
+        lower: (str) => isBlank(str) ? '' : String(str).toLowerCase(),
+        upper: (str) => isBlank(str) ? '' : String(str).toUpperCase(),
+        trim: (str) => isBlank(str) ? '' : String(str).trim(),
+
+        // --- Dates ---
+        today: () => startOfDay(new Date()),
+        now: () => new Date(),
+        date: (v, layout) => toDate(v, layout),
+        // Whole days from a to b (negative if b is earlier)
+        diffDays: (a, b) => {
+            a = toDate(a); b = toDate(b);
+            if (!a || !b) return null;
+            const utcDay = (d) => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+            return Math.round((utcDay(b) - utcDay(a)) / 86400000);
+        },
+        addDays: (d, n) => {
+            d = toDate(d);
+            if (!d) return null;
+            const result = new Date(d.getTime());
+            result.setDate(result.getDate() + toNumber(n));
+            return result;
+        },
+        addMonths: (d, n) => addMonths(toDate(d), toNumber(n)),
+        addYears: (d, n) => addMonths(toDate(d), toNumber(n) * 12),
+        // Full years between dob and "at" (today by default)
+        age: (dob, at) => {
+            dob = toDate(dob);
+            at = at === undefined ? startOfDay(new Date()) : toDate(at);
+            if (!dob || !at) return null;
+            let years = at.getFullYear() - dob.getFullYear();
+            if (at.getMonth() < dob.getMonth() || (at.getMonth() === dob.getMonth() && at.getDate() < dob.getDate())) years--;
+            return years;
+        },
+        year: (d) => (d = toDate(d)) ? d.getFullYear() : null,
+        month: (d) => (d = toDate(d)) ? d.getMonth() + 1 : null,
+        day: (d) => (d = toDate(d)) ? d.getDate() : null,
 
-            // Dynamic Fields
-            if (expr.startsWith("fields.")) {
-                return fieldProvider ? fieldProvider(expr.slice(7).trim()) : null;
-            }
-            if (expr.startsWith("source.")) {
-                return context[expr.slice(7)];
-            }
-            
-            // Nested Property Access (Protected from Prototype Pollution)
-            if (expr.includes(".")) {
-                const parts = expr.split(".");
-                // Only allow access if root is in context
-                if (Object.prototype.hasOwnProperty.call(context, parts[0])) {
-                    let v = context[parts[0]];
-                    for (let i = 1; i < parts.length; i++) {
-                        const key = parts[i];
-                        // SECURITY: Prevent accessing dangerous properties
-                        if (key === '__proto__' || key === 'constructor' || key === 'prototype') return null;
-                        
-                        if (v === null || v === undefined) return null;
-                        v = v[key];
-                    }
-                    return v;
-                }
-            }
-            return null;
+        // --- Logic ---
+        if: (cond, a, b) => cond ? a : b,
+        coalesce: (...args) => {
+            const found = args.find(v => !isBlank(v));
+            return found === undefined ? null : found;
         }
-    }
+    };
+
+    // Functions whose "fields.X" (and "value") arguments are parsed with the field's date layout
+    Evaluator.DATE_FUNCTIONS = ['date', 'diffDays', 'addDays', 'addMonths', 'addYears', 'age', 'year', 'month', 'day'];
+    // Context key of the source's date layout (a Symbol, so expressions cannot read it)
+    Evaluator.VALUE_LAYOUT = Symbol('valueLayout');
+
+    // Compiled expressions keyed by source string (cleared when it reaches 500 entries)
+    Evaluator._cache = new Map();
 
     // --- Validator Engine ---
 
     class Validator {
-        constructor() {
+        /**
+         * @param {{locale?: string|null}} [options] locale: default number locale (see getLocale)
+         */
+        constructor(options = {}) {
+            this.locale = options.locale || null;
+
             // --- Regex Patterns (Precompiled) ---
             const RE_EMAIL = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
             const RE_URL = /^(https?|ftp|file|git):\/\/[-a-zA-Z0-9+&@#/%?=~_|!:,.;]*[-a-zA-Z0-9+&@#/%=~_|]$/;
@@ -399,6 +1071,124 @@
                 return (sum % 10) === 0;
             };
 
+            // --- Checksum Helpers ---
+
+            const digitsOf = (val) => String(val).split('').map(Number);
+
+            // Weighted digit sum: weights[i] applies to digits[i]
+            const weightedSum = (digits, weights) => weights.reduce((sum, w, i) => sum + w * digits[i], 0);
+
+            // Remainder of a long numeric string (IBAN) without losing precision
+            const mod97 = (numeric) => {
+                let rest = 0;
+                for (let i = 0; i < numeric.length; i += 7) rest = Number(String(rest) + numeric.slice(i, i + 7)) % 97;
+                return rest;
+            };
+            const lettersToDigits = (str) => str.replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+
+            // GTIN family (EAN-8, UPC-A, EAN-13, ISBN-13): weights 1,3,1... from the check digit leftwards
+            const gtinCheck = (digits) => {
+                const sum = digits.slice().reverse().reduce((acc, d, i) => acc + d * (i % 2 ? 3 : 1), 0);
+                return sum % 10 === 0;
+            };
+
+            const isbnCheck = (val) => {
+                const code = String(val).toUpperCase().replace(/^ISBN(?:-1[03])?:?\s*/, '').replace(/[- ]/g, '');
+                if (/^\d{9}[\dX]$/.test(code)) {
+                    const sum = code.split('').reduce((acc, ch, i) => acc + (10 - i) * (ch === 'X' ? 10 : Number(ch)), 0);
+                    return sum % 11 === 0;
+                }
+                return /^97[89]\d{10}$/.test(code) && gtinCheck(digitsOf(code));
+            };
+
+            // IBAN lengths by country (SWIFT IBAN registry)
+            const IBAN_LENGTHS = {
+                AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27, BR: 29, BY: 28,
+                CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+                FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+                IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20,
+                LV: 21, LY: 25, MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+                NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SC: 31,
+                SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29,
+                VA: 22, VG: 24, XK: 20
+            };
+            const ibanCheck = (val) => {
+                const iban = String(val).replace(/\s/g, '').toUpperCase();
+                if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(iban) || IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) return false;
+                return mod97(lettersToDigits(iban.slice(4) + iban.slice(0, 4))) === 1;
+            };
+
+            // EU VAT numbers: format per member state, check digits where the algorithm is public
+            const VAT_FORMATS = {
+                AT: /^U\d{8}$/, BE: /^[01]\d{9}$/, BG: /^\d{9,10}$/, CY: /^\d{8}[A-Z]$/, CZ: /^\d{8,10}$/,
+                DE: /^\d{9}$/, DK: /^\d{8}$/, EE: /^\d{9}$/, EL: /^\d{9}$/, ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+                FI: /^\d{8}$/, FR: /^[0-9A-Z]{2}\d{9}$/, HR: /^\d{11}$/, HU: /^\d{8}$/,
+                IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/, IT: /^\d{11}$/, LT: /^(\d{9}|\d{12})$/,
+                LU: /^\d{8}$/, LV: /^\d{11}$/, MT: /^\d{8}$/, NL: /^\d{9}B\d{2}$/, PL: /^\d{10}$/, PT: /^\d{9}$/,
+                RO: /^[1-9]\d{1,9}$/, SE: /^\d{10}01$/, SI: /^\d{8}$/, SK: /^\d{10}$/, XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+            };
+            const VAT_CHECKS = {
+                AT: (n) => {
+                    const d = digitsOf(n.slice(1));
+                    const sum = d.slice(0, 7).reduce((acc, x, i) => acc + (i % 2 ? Math.floor(x * 2 / 10) + (x * 2) % 10 : x), 0);
+                    return (10 - (sum + 4) % 10) % 10 === d[7];
+                },
+                BE: (n) => 97 - Number(n.slice(0, 8)) % 97 === Number(n.slice(8)),
+                // ISO 7064 MOD 11,10
+                DE: (n) => {
+                    let product = 10;
+                    digitsOf(n.slice(0, 8)).forEach(x => {
+                        const sum = (x + product) % 10 || 10;
+                        product = (2 * sum) % 11;
+                    });
+                    return (11 - product) % 10 === Number(n[8]);
+                },
+                FR: (n) => !/^\d{2}$/.test(n.slice(0, 2)) || (12 + 3 * (Number(n.slice(2)) % 97)) % 97 === Number(n.slice(0, 2)),
+                IT: (n) => luhnCheck(n),
+                // Mod 11 (legal entities) or mod 97 including the country code (sole proprietors since 2020)
+                NL: (n) => weightedSum(digitsOf(n.slice(0, 9)), [9, 8, 7, 6, 5, 4, 3, 2, -1]) % 11 === 0 ||
+                    mod97(lettersToDigits('NL' + n)) === 1,
+                PL: (n) => weightedSum(digitsOf(n), [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === Number(n[9])
+            };
+            const EU_COUNTRIES = Object.keys(VAT_FORMATS);
+            // allowed: "EU" or a list of country codes ("DE;AT", "DE,AT")
+            const vatCheck = (val, allowed) => {
+                const vat = String(val).replace(/[\s.-]/g, '').toUpperCase();
+                const country = vat.slice(0, 2);
+                const number = vat.slice(2);
+                const list = Validator._splitList(String(allowed || 'EU').toUpperCase());
+                if (!list.includes(country) && !(list.includes('EU') && EU_COUNTRIES.includes(country))) return false;
+                if (!VAT_FORMATS[country] || !VAT_FORMATS[country].test(number)) return false;
+                return !VAT_CHECKS[country] || VAT_CHECKS[country](number);
+            };
+
+            // Russian taxpayer number: 10 digits (organizations) or 12 (individuals)
+            const innCheck = (val, kind) => {
+                const inn = String(val).trim();
+                if (!/^(\d{10}|\d{12})$/.test(inn) || (kind && inn.length !== Number(kind))) return false;
+                const d = digitsOf(inn);
+                const check = (weights) => weightedSum(d, weights) % 11 % 10;
+                if (d.length === 10) return check([2, 4, 10, 3, 5, 9, 4, 6, 8]) === d[9];
+                return check([7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === d[10] && check([3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8]) === d[11];
+            };
+
+            // Russian pension insurance number: "123-456-789 01"
+            const snilsCheck = (val) => {
+                const snils = String(val).replace(/[\s-]/g, '');
+                if (!/^\d{11}$/.test(snils)) return false;
+                const sum = weightedSum(digitsOf(snils), [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+                return (sum % 101) % 100 === Number(snils.slice(9));
+            };
+
+            // Russian state registration number: 13 digits (OGRN) or 15 (OGRNIP, sole proprietors)
+            const ogrnCheck = (val) => {
+                const ogrn = String(val).trim();
+                if (!/^(\d{13}|\d{15})$/.test(ogrn)) return false;
+                const body = Number(ogrn.slice(0, -1));
+                const divisor = ogrn.length === 13 ? 11 : 13;
+                return (body % divisor) % 10 === Number(ogrn.slice(-1));
+            };
+
             // Network Helpers
             const isIP = (str, version = 0) => {
                 const ipv4 = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
@@ -440,20 +1230,111 @@
                 return new RegExp(`^${pattern}$`);
             };
 
+            // Files of an <input type="file"> (empty for other fields)
+            const getFiles = (el) => (el && el.files) ? Array.from(el.files) : [];
+
+            // "5MB", "500 KB", "1.5GB" or plain bytes
+            const parseSize = (str) => {
+                const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?\s*$/i.exec(String(str));
+                if (!match) return NaN;
+                const power = ['B', 'KB', 'MB', 'GB'].indexOf((match[2] || 'B').toUpperCase());
+                return Number(match[1]) * Math.pow(1024, power);
+            };
+
+            // "image/png;application/pdf" or "image/*"
+            const matchesMime = (type, list) => String(list).split(/[;,]/).map(s => s.trim().toLowerCase()).filter(Boolean)
+                .some(mime => mime.endsWith('/*') ? type.startsWith(mime.slice(0, -1)) : type === mime);
+
+            // Natural size of an image file, read locally
+            const readImageSize = (file) => new Promise((resolve, reject) => {
+                const url = URL.createObjectURL(file);
+                const img = new Image();
+                img.onload = () => {
+                    URL.revokeObjectURL(url);
+                    resolve({ width: img.naturalWidth, height: img.naturalHeight });
+                };
+                img.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error(`KrisForm: Could not read image "${file.name}"`));
+                };
+                img.src = url;
+            });
+
             // Cross-field value getter
             const getOtherVal = (el, name) => {
-                if (!el.form) return null;
-                const other = Utils.findFieldElements(el.form, name);
-                return Utils.getFieldValue(other);
+                const other = this._getOtherField(el, name);
+                return other ? other.value : null;
             };
 
-            this.rules = {
-                // --- Basic ---
-                required: (val, _, el) => {
-                    if (el.type === 'checkbox') return el.checked;
-                    if (el.type === 'radio') return !!val;
-                    if (val === undefined || val === null) return false;
-                    return String(val).trim().length > 0;
+            // Numbers are read in the locale of their field
+            const toNum = (val, el) => Utils.parseNumber(val, this.getLocale(el));
+            const getOtherNum = (el, name) => {
+                const other = this._getOtherField(el, name);
+                return Utils.parseNumber(other ? other.value : null, (other && other.el) ? this.getLocale(other.el) : this.locale);
+            };
+            // Dates are read with the layout of their field (see getDateLayout)
+            const toFieldDate = (val, el) => Utils.parseDate(val, this.getDateLayout(el));
+            const getOtherDate = (el, name) => {
+                const other = this._getOtherField(el, name);
+                return (other && other.el) ? Utils.parseDate(other.value, this.getDateLayout(other.el)) : null;
+            };
+            // Bounds: "today", "now", "tomorrow", "yesterday" with an optional offset ("today+90d", units d/w/m/y),
+            // or a date in the field's layout or ISO 8601
+            const resolveDateBound = (p, el) => {
+                const rel = /^(today|now|tomorrow|yesterday)(?:\s*([+-])\s*(\d+)\s*([dwmy]))?$/i.exec(String(p).trim());
+                if (!rel) return toFieldDate(p, el) || Utils.parseDate(p);
+                const F = Evaluator.FUNCTIONS;
+                const base = rel[1].toLowerCase();
+                let date = base === 'now' ? F.now() : F.addDays(F.today(), { tomorrow: 1, yesterday: -1 }[base] || 0);
+                if (rel[2]) {
+                    const n = Number(rel[3]) * (rel[2] === '-' ? -1 : 1);
+                    const unit = rel[4].toLowerCase();
+                    if (unit === 'd') date = F.addDays(date, n);
+                    else if (unit === 'w') date = F.addDays(date, n * 7);
+                    else if (unit === 'm') date = F.addMonths(date, n);
+                    else date = F.addYears(date, n);
+                }
+                return date;
+            };
+            const compareDate = (val, bound, el, test) => {
+                const date = toFieldDate(val, el);
+                return !!date && !!bound && test(date.getTime(), bound.getTime());
+            };
+            // Cross-field date ranges pass while the other field is empty
+            const compareFieldDate = (val, name, el, test) => {
+                const other = getOtherDate(el, name);
+                return !other || compareDate(val, other, el, test);
+            };
+
+            // min/max compare numbers on numeric inputs (including localized text inputs), lengths elsewhere
+            const isNumericInput = (el) => ['number', 'range'].includes(el.type) || ['decimal', 'numeric'].includes(el.inputMode);
+
+            // Selected values of a checkbox group or <select multiple> (null for other fields)
+            const getSelected = (el) => {
+                if (!el) return null;
+                if (el.type === 'select-multiple') return Array.from(el.selectedOptions).map(o => o.value);
+                if (el.type !== 'checkbox') return null;
+                const group = (el.form && el.name)
+                    ? Utils.findFieldElements(el.form, el.name).filter(e => e.type === 'checkbox' && e.name === el.name)
+                    : [el];
+                return group.filter(e => e.checked).map(e => e.value);
+            };
+
+            // Number of chosen items: arrays count their entries, group fields their selection
+            const countSelected = (val, el) => {
+                if (Array.isArray(val)) return val.length;
+                const selected = getSelected(el);
+                if (selected) return selected.length;
+                return (val === null || val === undefined || val === '') ? 0 : 1;
+            };
+
+            this.rules = {
+                // --- Basic ---
+                required: (val, _, el) => {
+                    if (Array.isArray(val) || el.type === 'checkbox' || el.type === 'select-multiple') return countSelected(val, el) > 0;
+                    if (el.type === 'radio') return !!val;
+                    if (val === undefined || val === null) return false;
+                    return String(val).trim().length > 0;
                 },
                 required_with: (val, p, el) => {
                     const otherVal = getOtherVal(el, p);
@@ -466,26 +1347,40 @@
                     return true;
                 },
                 
+                // --- Groups (checkbox groups, <select multiple>) ---
+                min_checked: (val, p, el) => countSelected(val, el) >= Number(p),
+                max_checked: (val, p, el) => countSelected(val, el) <= Number(p),
+
                 // --- Comparison ---
                 eq: (val, p) => String(val) === String(p),
                 ne: (val, p) => String(val) !== String(p),
-                lt: (val, p) => Number(val) < Number(p),
-                gt: (val, p) => Number(val) > Number(p),
-                lte: (val, p) => Number(val) <= Number(p),
-                gte: (val, p) => Number(val) >= Number(p),
+                lt: (val, p, el) => toNum(val, el) < Number(p),
+                gt: (val, p, el) => toNum(val, el) > Number(p),
+                lte: (val, p, el) => toNum(val, el) <= Number(p),
+                gte: (val, p, el) => toNum(val, el) >= Number(p),
                 
                 // Cross-Field Comparisons
                 eqfield: (val, p, el) => String(val) === String(getOtherVal(el, p)),
                 nefield: (val, p, el) => String(val) !== String(getOtherVal(el, p)),
-                gtfield: (val, p, el) => Number(val) > Number(getOtherVal(el, p)),
-                gtefield: (val, p, el) => Number(val) >= Number(getOtherVal(el, p)),
-                ltfield: (val, p, el) => Number(val) < Number(getOtherVal(el, p)),
-                ltefield: (val, p, el) => Number(val) <= Number(getOtherVal(el, p)),
+                gtfield: (val, p, el) => toNum(val, el) > getOtherNum(el, p),
+                gtefield: (val, p, el) => toNum(val, el) >= getOtherNum(el, p),
+                ltfield: (val, p, el) => toNum(val, el) < getOtherNum(el, p),
+                ltefield: (val, p, el) => toNum(val, el) <= getOtherNum(el, p),
                 
                 // --- Numeric / Range / Length ---
                 len: (val, p) => String(val).length === Number(p),
-                min: (val, p, el) => (el.type === 'number' || el.type === 'range') ? Number(val) >= Number(p) : String(val).length >= Number(p),
-                max: (val, p, el) => (el.type === 'number' || el.type === 'range') ? Number(val) <= Number(p) : String(val).length <= Number(p),
+                minlength: (val, p) => String(val).length >= Number(p),
+                maxlength: (val, p) => String(val).length <= Number(p),
+                // Multiple of the step, counted from the field's min attribute (as native inputs do)
+                step: (val, p, el) => {
+                    const step = Number(p);
+                    if (!(step > 0)) return true;
+                    const base = Number(el && el.getAttribute ? el.getAttribute('min') : 0) || 0;
+                    const steps = (toNum(val, el) - base) / step;
+                    return Math.abs(steps - Math.round(steps)) < 1e-9;
+                },
+                min: (val, p, el) => isNumericInput(el) ? toNum(val, el) >= Number(p) : String(val).length >= Number(p),
+                max: (val, p, el) => isNumericInput(el) ? toNum(val, el) <= Number(p) : String(val).length <= Number(p),
 
                 // --- Complexity (Count Matches) ---
                 min_alpha: (val, p) => (String(val).match(/[a-zA-Z]/g) || []).length >= Number(p),
@@ -493,6 +1388,8 @@
                 min_upper: (val, p) => (String(val).match(/[A-Z]/g) || []).length >= Number(p),
                 min_digit: (val, p) => (String(val).match(/[0-9]/g) || []).length >= Number(p),
                 min_symbol: (val, p) => (String(val).match(/[^a-zA-Z0-9\s]/g) || []).length >= Number(p),
+                // Score 0-4, see Validator.scorePassword. "strength" alone requires 3
+                strength: (val, p, el) => this.scoreStrength(val, el).score >= Number(p || 3),
 
                 // --- Strings & Formats ---
                 alpha: (val) => /^[a-zA-Z]+$/.test(val),
@@ -500,7 +1397,7 @@
                 alphaunicode: (val) => /^[\p{L}]+$/u.test(val),
                 alphanumunicode: (val) => /^[\p{L}\p{N}]+$/u.test(val),
                 numeric: (val) => /^\d+$/.test(val),
-                number: (val) => !isNaN(Number(val)) && val !== '' && val !== null,
+                number: (val, _, el) => !isNaN(toNum(val, el)) && val !== '' && val !== null,
                 hexadecimal: (val) => /^[0-9a-fA-F]+$/.test(val),
                 
                 lowercase: (val) => val === String(val).toLowerCase(),
@@ -557,10 +1454,12 @@
                 datauri: (val) => /^data:.+;base64,.+$/.test(val),
                 magnet: (val) => /^magnet:\?xt=urn:[a-z0-9]+:[a-z0-9]{32,40}&dn=.+&tr=.+$/.test(val),
                 
-                isbn: (val) => /^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/.test(val),
-                isbn10: (val) => /^(?:ISBN(?:-10)?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$)[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/.test(val),
-                isbn13: (val) => /^(?:ISBN(?:-13)?:? )?(?=[0-9]{13}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)97[89][0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9]$/.test(val),
+                isbn: (val) => /^(?:ISBN(?:-1[03])?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$|97[89][0-9]{10}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)(?:97[89][- ]?)?[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/.test(val) && isbnCheck(val),
+                isbn10: (val) => /^(?:ISBN(?:-10)?:? )?(?=[0-9X]{10}$|(?=(?:[0-9]+[- ]){3})[- 0-9X]{13}$)[0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9X]$/.test(val) && isbnCheck(val),
+                isbn13: (val) => /^(?:ISBN(?:-13)?:? )?(?=[0-9]{13}$|(?=(?:[0-9]+[- ]){4})[- 0-9]{17}$)97[89][0-9]{1,5}[- ]?[0-9]+[- ]?[0-9]+[- ]?[0-9]$/.test(val) && isbnCheck(val),
                 issn: (val) => /^\d{4}-\d{3}[\dX]$/.test(val),
+                ean13: (val) => /^\d{13}$/.test(val) && gtinCheck(digitsOf(val)),
+                upc: (val) => /^\d{12}$/.test(val) && gtinCheck(digitsOf(val)),
                 
                 uuid: (val) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(val),
                 uuid3: (val) => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-3[0-9a-fA-F]{3}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(val),
@@ -570,7 +1469,8 @@
                 // --- Geo & Misc ---
                 latitude: (val) => /^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?)$/.test(val),
                 longitude: (val) => /^[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/.test(val),
-                ssn: (val) => /^\d{3}-\d{2}-\d{4}$/.test(val),
+                // Area 000, 666 and 9xx, group 00 and serial 0000 are never issued
+                ssn: (val) => /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/.test(val),
                 
                 semver: (val) => /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/.test(val),
                 json: (val) => { try { JSON.parse(val); return true; } catch(e) { return false; } },
@@ -578,22 +1478,53 @@
                 
                 // --- Financial ---
                 bic: (val) => /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(val),
-                credit_card: (val) => luhnCheck(val),
+                iban: (val) => ibanCheck(val),
+                vat: (val, p) => vatCheck(val, p),
+                // "credit_card:visa,mastercard" also requires one of the brands (see Validator.CARD_BRANDS)
+                credit_card: (val, p) => {
+                    if (!/^[\d\s-]+$/.test(val)) return false;
+                    const digits = String(val).replace(/\D/g, '');
+                    if (digits.length < 12 || digits.length > 19 || !luhnCheck(digits)) return false;
+                    if (!p) return true;
+                    return Validator._splitList(p.toLowerCase()).includes(Validator.detectCardBrand(digits));
+                },
                 btc_addr: (val) => /^(1|3)[a-zA-Z1-9]{26,33}$/.test(val),
                 btc_addr_bech32: (val) => /^bc1[a-z0-9]{39,59}$/.test(val),
                 eth_addr: (val) => /^0x[a-fA-F0-9]{40}$/.test(val),
 
+                // --- Identity (Russia) ---
+                inn: (val, p) => innCheck(val, p), // "inn:10" organizations only, "inn:12" individuals only
+                snils: (val) => snilsCheck(val),
+                ogrn: (val) => ogrnCheck(val),
+
                 // --- Date & Time ---
                 datetime: (val, param) => {
                     if (!param) return !isNaN(Date.parse(val));
                     return parseGoDateLayout(param).test(val);
                 },
+                after: (val, p, el) => compareDate(val, resolveDateBound(p, el), el, (a, b) => a > b),
+                after_or_equal: (val, p, el) => compareDate(val, resolveDateBound(p, el), el, (a, b) => a >= b),
+                before: (val, p, el) => compareDate(val, resolveDateBound(p, el), el, (a, b) => a < b),
+                before_or_equal: (val, p, el) => compareDate(val, resolveDateBound(p, el), el, (a, b) => a <= b),
+                afterfield: (val, p, el) => compareFieldDate(val, p, el, (a, b) => a > b),
+                beforefield: (val, p, el) => compareFieldDate(val, p, el, (a, b) => a < b),
+                // Full years since the date (date of birth) as of today
+                age_min: (val, p, el) => {
+                    const dob = toFieldDate(val, el);
+                    return !!dob && Evaluator.FUNCTIONS.age(dob) >= Number(p);
+                },
                 timezone: (val) => {
                     try { Intl.DateTimeFormat(undefined, { timeZone: val }); return true; } 
                     catch (e) { return false; }
                 },
 
                 // --- Content & Logic ---
+                // Native pattern semantics: the whole value must match; an invalid pattern is ignored
+                pattern: (val, p) => {
+                    let re;
+                    try { re = new RegExp(`^(?:${p})$`, 'u'); } catch (e) { return true; }
+                    return re.test(val);
+                },
                 contains: (val, p) => String(val).includes(p),
                 containsany: (val, p) => [...String(p)].some(char => String(val).includes(char)),
                 notcontains: (val, p) => !String(val).includes(p),
@@ -603,52 +1534,767 @@
                 endswith: (val, p) => String(val).endsWith(p),
                 startsnotwith: (val, p) => !String(val).startsWith(p),
                 endsnotwith: (val, p) => !String(val).endsWith(p),
-                oneof: (val, p) => p.split(/[, ]+/).includes(String(val)),
-                neof: (val, p) => !p.split(/[, ]+/).includes(String(val)),
+                // Values are ";"-separated and may contain spaces: oneof:New York;Boston
+                oneof: (val, p, el, ctx) => Validator._splitList(p, ctx && ctx.quoted).includes(String(val)),
+                neof: (val, p, el, ctx) => !Validator._splitList(p, ctx && ctx.quoted).includes(String(val)),
                 boolean: (val) => ['true', 'false', '1', '0'].includes(String(val).toLowerCase()),
                 
                 // --- Files ---
-                ext: (val, p) => {
-                    if (!val) return true;
-                    const ext = String(val).split('.').pop().toLowerCase();
-                    const allowed = p.toLowerCase().split(';').map(s => s.trim());
-                    return allowed.includes(ext);
+                // Checks every selected file; falls back to the value for plain text inputs
+                ext: (val, p, el) => {
+                    const files = getFiles(el);
+                    const names = files.length ? files.map(f => f.name) : [val];
+                    const allowed = p.toLowerCase().split(/[;,]/).map(s => s.trim());
+                    return names.every(name => !name || allowed.includes(String(name).split('.').pop().toLowerCase()));
+                },
+                image: (val, _, el) => this.rules.ext(val, 'jpg;jpeg;png;gif;bmp;webp;svg;tiff;ico', el),
+                max_size: (val, p, el) => getFiles(el).every(f => f.size <= parseSize(p)),
+                min_size: (val, p, el) => getFiles(el).every(f => f.size >= parseSize(p)),
+                mimes: (val, p, el) => getFiles(el).every(f => matchesMime(String(f.type).toLowerCase(), p)),
+                max_files: (val, p, el) => getFiles(el).length <= Number(p),
+                min_files: (val, p, el) => getFiles(el).length >= Number(p),
+                // Async: "dimensions:min_width=200,max_height=2000" (also width, height, max_width, min_height)
+                dimensions: (val, p, el) => {
+                    const limits = {};
+                    String(p || '').split(/[,;]/).forEach(pair => {
+                        const [key, num] = pair.split('=').map(s => s.trim());
+                        if (key) limits[key] = Number(num);
+                    });
+                    const fits = ({ width, height }) => {
+                        const checks = {
+                            width: width === limits.width, height: height === limits.height,
+                            min_width: width >= limits.min_width, max_width: width <= limits.max_width,
+                            min_height: height >= limits.min_height, max_height: height <= limits.max_height
+                        };
+                        return Object.keys(limits).every(key => checks[key] !== false);
+                    };
+                    const images = getFiles(el).filter(f => /^image\//.test(f.type));
+                    return Promise.all(images.map(readImageSize)).then(sizes => sizes.every(fits));
                 },
-                image: (val) => this.rules.ext(val, 'jpg;jpeg;png;gif;bmp;webp;svg;tiff;ico')
+
+                // --- Server-Side (Async) ---
+                // Resolves to the server's {valid, message}. KrisForm passes endpoint, method, headers, body and signal.
+                remote: (val, p, el, ctx = {}) => {
+                    const method = String(ctx.method || 'GET').toUpperCase();
+                    const sendBody = method !== 'GET' && method !== 'HEAD' && !!ctx.body;
+                    const encodedVal = encodeURIComponent(val);
+                    let url = (ctx.endpoint || '') + p;
+
+                    // Support {value} placeholder or append as query param
+                    if (url.includes('{value}')) {
+                        url = url.replace('{value}', encodedVal);
+                    } else if (!sendBody) {
+                        const separator = url.includes('?') ? '&' : '?';
+                        url += `${separator}value=${encodedVal}`;
+                    }
+
+                    const init = { method, headers: { ...(ctx.headers || {}) }, signal: ctx.signal };
+                    if (sendBody) {
+                        if (typeof ctx.body === 'function') {
+                            init.body = ctx.body(val, el);
+                        } else if (ctx.body === 'form') {
+                            init.body = new URLSearchParams({ value: val });
+                        } else {
+                            init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+                            init.body = JSON.stringify({ value: val, field: el && el.name });
+                        }
+                    }
+
+                    return fetch(url, init).then(r => {
+                        if (!r.ok) throw new Error(`KrisForm: Remote check failed with status ${r.status}`);
+                        return r.json();
+                    });
+                }
             };
             
             // Aliases & Legacy
             this.rules.ip = (val) => this.rules.ipv4(val) || this.rules.ipv6(val);
             this.rules.iscolor = this.rules.hexcolor;
             this.rules.country_code = (val) => /^[A-Z]{2}$/.test(val);
+
+            // Rules registered on this instance only (see registerRule)
+            this.customRules = Object.create(null);
+        }
+
+        /**
+         * Registers a validation rule. Overrides a built-in rule of the same name.
+         * @param {string} name
+         * @param {Function} fn (value, param, el) => boolean (or Promise when async)
+         * @param {{message?: string|Function, async?: boolean, params?: string[]|Function, normalize?: Function, runsOnEmpty?: boolean, attributes?: string[]}} [options]
+         * @param {Object} [registry] Target registry (defaults to the global one)
+         */
+        static registerRule(name, fn, options = {}, registry = this.RULES) {
+            if (!/^[A-Za-z_][\w]*$/.test(String(name))) throw new Error(`KrisForm: Invalid rule name "${name}"`);
+            if (typeof fn !== 'function') throw new Error(`KrisForm: Rule "${name}" must be a function`);
+            const inherited = this.RULE_META[name] || {};
+            const asyncOptions = {};
+            ['debounce', 'timeout', 'cacheTTL', 'method', 'headers', 'body'].forEach(key => {
+                if (options[key] !== undefined) asyncOptions[key] = options[key];
+            });
+            registry[name] = Object.freeze({
+                name,
+                fn,
+                message: options.message || null,
+                async: options.async !== undefined ? !!options.async : !!inherited.async,
+                asyncOptions,
+                params: options.params || null,
+                normalize: typeof options.normalize === 'function' ? options.normalize : null,
+                runsOnEmpty: options.runsOnEmpty !== undefined ? !!options.runsOnEmpty : !!inherited.runsOnEmpty,
+                attributes: options.attributes || inherited.attributes || []
+            });
+        }
+
+        /**
+         * Registers a rule for this validator only
+         */
+        registerRule(name, fn, options = {}) {
+            Validator.registerRule(name, fn, options, this.customRules);
+            return this;
+        }
+
+        /**
+         * Number locale of a field: the closest data-locale (field, container or form), then the default.
+         * validateObject fields use their declared locale.
+         * @returns {string|null}
+         */
+        getLocale(el) {
+            if (el && el.record) return el.locale || this.locale; // validateObject field
+            const holder = el && el.closest ? el.closest(`[${CONSTANTS.ATTR.LOCALE}]`) : null;
+            return (holder && holder.getAttribute(CONSTANTS.ATTR.LOCALE)) || this.locale;
+        }
+
+        /**
+         * Password strength: entropy of the character pool, with repeats, sequences, keyboard walks,
+         * common passwords and the user's own data (userInputs) counted as nearly free
+         * @param {string} value
+         * @param {string[]} [userInputs] Values of related fields (username, email...)
+         * @returns {{score: number, entropy: number, suggestions: string[]}} score 0-4; suggestions are
+         *     codes: personal, common, keyboard, sequence, repeat, length, variety
+         */
+        static scorePassword(value, userInputs = []) {
+            const password = String(value === null || value === undefined ? '' : value);
+            if (!password) return { score: 0, entropy: 0, suggestions: [] };
+
+            const COMMON = ['password', 'qwerty', 'letmein', 'welcome', 'admin', 'iloveyou', 'monkey', 'dragon',
+                'football', 'sunshine', 'master', 'login', 'secret', '123456', 'abc123'];
+            const ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm', '1234567890', '!@#$%^&*()'];
+            const LEET = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+            const lower = password.toLowerCase();
+            const plain = lower.replace(/[@430$571!]/g, ch => LEET[ch]);
+            const weak = new Array(password.length).fill(false);
+            const found = new Set();
+            // A guessable span costs its first character only
+            const mark = (start, length, code) => {
+                for (let i = start + 1; i < start + length; i++) weak[i] = true;
+                found.add(code);
+            };
+            // Words are also found behind digits and symbols: p@ssw0rd
+            const markWord = (word, code) => [lower, plain].forEach(text => {
+                for (let i = text.indexOf(word); i !== -1; i = text.indexOf(word, i + 1)) mark(i, word.length, code);
+            });
+
+            userInputs.forEach(input => {
+                const text = String(input).toLowerCase();
+                [text, ...text.split(/[^\p{L}\p{N}]+/u)].filter(w => w.length >= 3).forEach(w => markWord(w, 'personal'));
+            });
+            COMMON.forEach(w => markWord(w, 'common'));
+
+            // Keyboard walks of 4+ keys, both directions
+            const lines = ROWS.concat(ROWS.map(row => [...row].reverse().join('')));
+            for (let i = 0; i < lower.length; i++) {
+                let length = 0;
+                lines.forEach(line => {
+                    let k = 0;
+                    while (i + k < lower.length && line.includes(lower.slice(i, i + k + 1))) k++;
+                    length = Math.max(length, k);
+                });
+                if (length >= 4) {
+                    mark(i, length, 'keyboard');
+                    i += length - 1;
+                }
+            }
+
+            // Sequences of 3+ characters: abc, 987
+            let runStart = 0;
+            let runDelta = 0;
+            for (let i = 1; i <= lower.length; i++) {
+                const delta = i < lower.length ? lower.charCodeAt(i) - lower.charCodeAt(i - 1) : 0;
+                if (Math.abs(delta) === 1 && (delta === runDelta || i - 1 === runStart)) {
+                    runDelta = delta;
+                    continue;
+                }
+                if (i - runStart >= 3) mark(runStart, i - runStart, 'sequence');
+                runStart = Math.abs(delta) === 1 ? i - 1 : i;
+                runDelta = delta;
+            }
+
+            // Repeats of 3+ characters: aaa, abab
+            for (const match of password.matchAll(/(.+?)\1+/g)) {
+                if (match[0].length >= 3) mark(match.index, match[0].length, 'repeat');
+            }
+
+            const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z0-9]/].filter(re => re.test(password)).length;
+            let pool = 0;
+            if (/[a-z]/.test(password)) pool += 26;
+            if (/[A-Z]/.test(password)) pool += 26;
+            if (/\d/.test(password)) pool += 10;
+            if (/[!-/:-@[-`{-~ ]/.test(password)) pool += 33;
+            if (/[^\x00-\x7F]/.test(password)) pool += 100;
+
+            const effectiveLength = weak.reduce((sum, isWeak) => sum + (isWeak ? 0.25 : 1), 0);
+            const entropy = effectiveLength * Math.log2(Math.max(pool, 2));
+            const score = [28, 36, 60, 80].filter(threshold => entropy >= threshold).length;
+
+            const suggestions = ['personal', 'common', 'keyboard', 'sequence', 'repeat'].filter(code => found.has(code));
+            if (password.length < 12) suggestions.push('length');
+            if (classes < 3) suggestions.push('variety');
+            return { score, entropy: Math.round(entropy), suggestions: score < 4 ? suggestions : [] };
+        }
+
+        /**
+         * Password strength of a field's value. The values of related fields (data-strength-inputs,
+         * "username,email" by default) count as guessable.
+         */
+        scoreStrength(value, el) {
+            const names = (el && el.getAttribute && el.getAttribute(CONSTANTS.ATTR.STRENGTH_INPUTS)) || 'username,email';
+            const inputs = names.split(',').map(name => this._getOtherField(el, name.trim())).filter(Boolean).map(other => other.value);
+            return Validator.scorePassword(value, inputs.filter(v => typeof v === 'string' && v !== ''));
+        }
+
+        /**
+         * Card brand of a number by its prefix and length (see Validator.CARD_BRANDS)
+         * @param {string} number
+         * @returns {string|null} e.g. "visa"
+         */
+        static detectCardBrand(number) {
+            const digits = String(number).replace(/\D/g, '');
+            const brand = Object.keys(Validator.CARD_BRANDS).find(name => Validator.CARD_BRANDS[name].test(digits));
+            return brand || null;
+        }
+
+        /**
+         * Go-style date layout of a field: native date inputs or its "datetime:LAYOUT" rule
+         * @returns {string|null}
+         */
+        getDateLayout(el) {
+            const NATIVE = { date: '2006-01-02', 'datetime-local': '2006-01-02T15:04', month: '2006-01' };
+            if (!el) return null;
+            if (NATIVE[el.type]) return NATIVE[el.type];
+            const rules = el.getAttribute ? el.getAttribute(CONSTANTS.ATTR.VALIDATOR) : null;
+            if (!rules) return null;
+            // Broken rules are skipped here and reported when the field is validated
+            const datetime = this.parseRules(rules, []).find(r => r.name === 'datetime');
+            return (datetime && datetime.param) || null;
+        }
+
+        /**
+         * Whether a field holds a number: number/range inputs, inputmode decimal/numeric or a numeric rule.
+         * Fields with a date layout never do: "15.03.2000" is a date, not 15032000 in de-DE.
+         */
+        isNumericField(el) {
+            if (!el || this.getDateLayout(el)) return false;
+            if (['number', 'range'].includes(el.type) || ['decimal', 'numeric'].includes(el.inputMode)) return true;
+            const rules = el.getAttribute ? el.getAttribute(CONSTANTS.ATTR.VALIDATOR) : null;
+            return !!rules && this.parseRules(rules, []).some(r => Validator.NUMERIC_RULES.includes(r.name));
+        }
+
+        /**
+         * Resolves a rule: instance registry, then global registry, then built-ins
+         * @returns {{name, fn, message, async, asyncOptions, params, normalize, runsOnEmpty, attributes}|null}
+         */
+        getRule(name) {
+            const has = (obj) => Object.prototype.hasOwnProperty.call(obj, name);
+            if (has(this.customRules)) return this.customRules[name];
+            if (has(Validator.RULES)) return Validator.RULES[name];
+            if (!has(this.rules)) return null;
+            const meta = Validator.RULE_META[name] || {};
+            return {
+                name,
+                fn: this.rules[name],
+                message: null,
+                async: !!meta.async,
+                asyncOptions: meta.asyncOptions || {},
+                params: null,
+                normalize: null,
+                runsOnEmpty: !!meta.runsOnEmpty,
+                attributes: meta.attributes || []
+            };
+        }
+
+        /**
+         * Parses a rule string into [{name, param, quoted}] ("quoted": the param has quoted or escaped chars).
+         *
+         * Grammar: "rule:param" or "rule=param" (first separator wins, so "datetime:15:04" keeps its layout).
+         * An unquoted, unescaped comma ends a rule when a rule follows it (a known rule name, or
+         * "name:param"); otherwise it belongs to the param: "between:1,10", "oneof:a,b,c". ";" always
+         * separates values ("between:1;10"); quote ("oneof:'min,max'") or escape ("contains:\,") a comma.
+         * With an `errors` array, broken rules are skipped and their messages collected instead of thrown.
+         * @param {string} rulesStr
+         * @param {string[]} [errors]
+         * @throws {Error} On unknown rules and malformed strings (unless `errors` is given)
+         */
+        parseRules(rulesStr, errors = null) {
+            const src = String(rulesStr || '');
+            const rules = [];
+            const segments = [];
+
+            this._splitRuleSegments(src).forEach(seg => {
+                if (!seg.chars.some(c => c.literal || c.c.trim())) return; // "a,,b" or a trailing comma
+                const prev = segments[segments.length - 1];
+                if (prev && prev.sep !== -1 && !this._startsRule(seg)) {
+                    // "between:1,10": the comma belongs to the previous param
+                    prev.chars = prev.chars.concat({ c: ',', literal: false }, seg.chars);
+                    prev.unterminated = seg.unterminated;
+                } else {
+                    segments.push(seg);
+                }
+            });
+
+            segments.forEach(seg => {
+                const name = Validator._ruleName(seg);
+
+                let message = null;
+                if (seg.unterminated) message = `KrisForm: Unterminated quote in rule string "${src}"`;
+                else if (!/^[A-Za-z_]\w*$/.test(name)) message = `KrisForm: Invalid rule "${Validator._trimChars(seg.chars)}" in "${src}"`;
+                else if (!this.getRule(name)) message = `KrisForm: Unknown validation rule "${name}" in "${src}"`;
+
+                const paramChars = seg.sep === -1 ? null : seg.chars.slice(seg.sep + 1);
+                if (message === null) rules.push({ name, param: paramChars && Validator._trimChars(paramChars), quoted: !!paramChars && paramChars.some(c => c.literal) });
+                else if (errors) errors.push(message);
+                else throw new Error(message);
+            });
+
+            return rules;
+        }
+
+        /**
+         * Whether a segment starts a rule: a known rule name, or "name:param"
+         */
+        _startsRule(seg) {
+            const name = Validator._ruleName(seg);
+            return /^[A-Za-z_]\w*$/.test(name) && (seg.sep !== -1 || !!this.getRule(name));
+        }
+
+        /**
+         * Rule name of a segment (the unquoted text before its separator), '' when quoted or escaped
+         */
+        static _ruleName(seg) {
+            const head = seg.sep === -1 ? seg.chars : seg.chars.slice(0, seg.sep);
+            return head.every(c => !c.literal) ? head.map(c => c.c).join('').trim() : '';
+        }
+
+        /**
+         * Splits on unquoted, unescaped commas. Each segment is a list of {c, literal} chars
+         * (quoted or escaped chars are literal) and the index of its first ":"/"=" separator.
+         * A quote left open marks the last segment as unterminated.
+         */
+        _splitRuleSegments(src) {
+            const segments = [];
+            let chars = [], sep = -1, quote = null;
+            const flush = () => {
+                segments.push({ chars, sep, unterminated: quote !== null });
+                chars = [];
+                sep = -1;
+            };
+
+            for (let i = 0; i < src.length; i++) {
+                const ch = src[i];
+                if (ch === '\\' && i + 1 < src.length) {
+                    chars.push({ c: src[++i], literal: true });
+                } else if (quote) {
+                    if (ch === quote) quote = null;
+                    else chars.push({ c: ch, literal: true });
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                } else if (ch === ',') {
+                    flush();
+                } else {
+                    if ((ch === ':' || ch === '=') && sep === -1) sep = chars.length;
+                    chars.push({ c: ch, literal: false });
+                }
+            }
+            flush();
+            return segments;
+        }
+
+        /**
+         * Joins chars, trimming unquoted whitespace at both ends
+         */
+        static _trimChars(chars) {
+            let start = 0, end = chars.length;
+            while (start < end && !chars[start].literal && !chars[start].c.trim()) start++;
+            while (end > start && !chars[end - 1].literal && !chars[end - 1].c.trim()) end--;
+            return chars.slice(start, end).map(c => c.c).join('');
+        }
+
+        /**
+         * Values of a list param ("oneof:a,b,c"): split on ";" when it has one ("oneof:New York;Boston"),
+         * else on commas, and also on spaces unless the param was quoted or escaped ("oneof:red green").
+         */
+        static _splitList(param, quoted = false) {
+            const str = param === null || param === undefined ? '' : String(param);
+            return str.split(str.includes(';') ? ';' : (quoted ? ',' : /[, ]+/)).map(v => v.trim());
+        }
+
+        /**
+         * Converts the raw param for rules declaring "params":
+         * a list of names maps "a;b" (or "a,b" when there is no ";") to {name1: "a", name2: "b"},
+         * a function parses it itself.
+         */
+        _resolveParam(rule, param) {
+            if (typeof rule.params === 'function') return rule.params(param);
+            if (Array.isArray(rule.params)) {
+                const str = param === null ? '' : String(param);
+                const parts = param === null ? [] : str.split(str.includes(';') ? ';' : ',').map(p => p.trim());
+                return rule.params.reduce((acc, key, i) => {
+                    acc[key] = parts[i] !== undefined ? parts[i] : null;
+                    return acc;
+                }, {});
+            }
+            return param;
+        }
+
+        /**
+         * Runs a single rule against a value
+         * @param {Object} [ctx] {quoted} (see parseRules); async rules also get {signal, endpoint, method, headers, body}
+         * @returns {boolean|Promise} Promise for async rules
+         */
+        runRule(rule, value, param, el, ctx = undefined) {
+            const val = rule.normalize ? rule.normalize(value, el) : value;
+            // Only required-like rules run on empty values
+            const isEmpty = (val === null || val === '' || val === undefined || (Array.isArray(val) && !val.length));
+            if (!rule.runsOnEmpty && isEmpty) return true;
+            return rule.fn(val, this._resolveParam(rule, param), el, ctx);
         }
-        validate(value, rulesStr, el) {
+
+        /**
+         * Runs the synchronous rules in order. Async rules are skipped (see getAsyncRules).
+         * Stops at the first failure unless options.all is set; "failures" lists every failure found.
+         * @param {string|Array<{name, param, quoted}>} rulesStr Rule string, or rules from parseRules()
+         * @param {{all?: boolean}} [options]
+         * @returns {{valid: boolean, failed?: string, param?: string, failures?: Array<{rule, param}>}}
+         * @throws {Error} On unknown rules or a malformed rule string (see parseRules)
+         */
+        validate(value, rulesStr, el, options = {}) {
             if (!rulesStr) return { valid: true };
-            const rules = rulesStr.split(',').map(r => r.trim());
 
-            for (const r of rules) {
-                let name = r, param = null;
-                // Supports rule=param or rule:param
-                if (r.includes('=')) [name, param] = r.split('=');
-                else if (r.includes(':')) [name, param] = r.split(':');
+            const failures = [];
+            for (const { name, param, quoted } of Array.isArray(rulesStr) ? rulesStr : this.parseRules(rulesStr)) {
+                const rule = this.getRule(name);
+                if (!rule || rule.async) continue; // Async rules are run by the form
+
+                if (!this.runRule(rule, value, param, el, { quoted: !!quoted })) {
+                    failures.push({ rule: name, param });
+                    if (!options.all) break;
+                }
+            }
+            if (!failures.length) return { valid: true };
+            return { valid: false, failed: failures[0].rule, param: failures[0].param, failures };
+        }
+
+        /**
+         * Validates a plain object with no DOM (Node, web workers): each schema entry is a rule string,
+         * or {rules, type, locale, messages, attributes} to declare what the field would be in a form.
+         * Values are read as that field would hold them (see _toFieldValue). Async rules are skipped.
+         * @param {Object} data e.g. {email: "a@b.co", age: 17}
+         * @param {Object} schema e.g. {email: "required,email", age: {type: "number", rules: "min:18"}}
+         * @param {{all?: boolean}} [options]
+         * @returns {{valid: boolean, errors: Array<{field, rule, param, message, failures}>}}
+         * @throws {Error} On unknown rules or a malformed rule string (see parseRules)
+         */
+        validateObject(data, schema, options = {}) {
+            const record = this._createRecord(data || {}, schema || {});
+            const errors = [];
+            Object.keys(schema || {}).forEach(name => {
+                const field = record.fields[name];
+                const result = this.validate(field.value, field.rules, field, options);
+                if (result.valid) return;
+                const failures = result.failures.map(f => ({ rule: f.rule, param: f.param, message: this._getFieldMessage(field, f.rule, f.param) }));
+                errors.push({ field: name, rule: result.failed, param: result.param, message: failures[0].message, failures });
+            });
+            return { valid: !errors.length, errors };
+        }
+
+        /**
+         * validateObject with a new validator (global and built-in rules only)
+         * @param {{all?: boolean, locale?: string}} [options]
+         */
+        static validateObject(data, schema, options = {}) {
+            return new Validator({ locale: options.locale }).validateObject(data, schema, options);
+        }
+
+        /**
+         * JSON Schema (draft 2020-12) of a validateObject schema or an exportSchema() document.
+         * Rules with a JSON Schema counterpart are mapped (required, lengths, min/max, pattern, formats,
+         * oneof...). Each property keeps its field in "x-krisform" and the root keeps the dependencies,
+         * so fromJSONSchema restores the original exactly.
+         * @param {Object} schema
+         * @returns {Object}
+         */
+        toJSONSchema(schema) {
+            const doc = (schema && schema.fields) ? schema : { fields: schema || {} };
+            const json = { $schema: 'https://json-schema.org/draft/2020-12/schema', type: 'object', properties: {}, required: [] };
+
+            Object.keys(doc.fields).forEach(name => {
+                const def = doc.fields[name];
+                const spec = (def && typeof def === 'object') ? { ...def } : { rules: def || '' };
+                const type = spec.type || 'text';
+                // Broken rules are skipped; x-krisform keeps the rules as written
+                const parsed = this.parseRules(spec.rules, []);
+
+                const isArray = type === 'select-multiple' || (type === 'checkbox' && !!spec.multiple);
+                const isNumber = ['number', 'range'].includes(type);
+                const prop = { type: isArray ? 'array' : (type === 'checkbox' ? 'boolean' : (isNumber ? 'number' : 'string')) };
+                if (isArray) prop.items = { type: 'string' };
+                const FORMATS = { email: 'email', url: 'uri', http_url: 'uri', uuid: 'uuid', ipv4: 'ipv4', ipv6: 'ipv6', hostname: 'hostname', fqdn: 'hostname' };
+                const PATTERNS = { alpha: '^[a-zA-Z]+$', alphanum: '^[a-zA-Z0-9]+$', numeric: '^\\d+$' };
+                if (type === 'date') prop.format = 'date';
+                if (type === 'email') prop.format = 'email';
+                if (type === 'url') prop.format = 'uri';
+
+                parsed.forEach(({ name: rule, param, quoted }) => {
+                    const n = Number(param);
+                    if (rule === 'required') {
+                        json.required.push(name);
+                        if (prop.type === 'string') prop.minLength = Math.max(prop.minLength || 0, 1);
+                        if (prop.type === 'array') prop.minItems = Math.max(prop.minItems || 0, 1);
+                        if (prop.type === 'boolean') prop.const = true;
+                    } else if (FORMATS[rule] && prop.type === 'string') {
+                        prop.format = FORMATS[rule];
+                    } else if (PATTERNS[rule] && prop.type === 'string' && !prop.pattern) {
+                        prop.pattern = PATTERNS[rule];
+                    } else if (rule === 'pattern' && prop.type === 'string') {
+                        prop.pattern = `^(?:${param})$`;
+                    } else if (rule === 'oneof' && prop.type === 'string') {
+                        prop.enum = Validator._splitList(param, quoted);
+                    } else if (prop.type === 'array' && ['min_checked', 'max_checked'].includes(rule)) {
+                        prop[rule === 'min_checked' ? 'minItems' : 'maxItems'] = n;
+                    } else if (prop.type === 'number') {
+                        const KEYWORDS = { min: 'minimum', gte: 'minimum', max: 'maximum', lte: 'maximum', gt: 'exclusiveMinimum', lt: 'exclusiveMaximum' };
+                        if (KEYWORDS[rule]) prop[KEYWORDS[rule]] = n;
+                        const base = Number(spec.attributes && spec.attributes.min) || 0;
+                        if (rule === 'step' && base === 0) prop.multipleOf = n;
+                    } else if (prop.type === 'string') {
+                        if (['min', 'minlength', 'len'].includes(rule)) prop.minLength = n;
+                        if (['max', 'maxlength', 'len'].includes(rule)) prop.maxLength = n;
+                    }
+                });
 
-                const fn = this.rules[name];
-                if (!fn) continue;
+                prop['x-krisform'] = spec;
+                json.properties[name] = prop;
+            });
 
-                // "Required" rules run always. Others skip if empty.
-                                const isEmpty = (value === null || value === '' || value === undefined);
-                                const isRequiredRule = ['required', 'required_with', 'required_without'].includes(name);
+            if (!json.required.length) delete json.required;
+            json['x-krisform'] = { version: 1, dependencies: doc.dependencies || [] };
+            return json;
+        }
 
-                                if (!isRequiredRule && isEmpty) continue;
+        /**
+         * exportSchema()-style document ({version, fields, dependencies}) from a JSON Schema.
+         * Properties written by toJSONSchema are restored from "x-krisform"; others get rules derived
+         * from their keywords (type, required, formats, lengths, ranges, pattern, enum, items).
+         * @param {Object} json
+         * @returns {{version: number, fields: Object, dependencies: Object[]}}
+         */
+        fromJSONSchema(json) {
+            const quote = (param) => `"${String(param).replace(/["\\]/g, '\\$&')}"`;
+            const properties = (json && json.properties) || {};
+            const required = (json && json.required) || [];
+            const fields = {};
+
+            Object.keys(properties).forEach(name => {
+                const prop = properties[name] || {};
+                if (prop['x-krisform']) {
+                    fields[name] = { ...prop['x-krisform'] };
+                    return;
+                }
 
-                                if (!fn(value, param, el)) {
-                    return { valid: false, failed: name, param: param };
+                const types = [].concat(prop.type || 'string');
+                const jsonType = ['array', 'boolean', 'integer', 'number'].find(t => types.includes(t)) || 'string';
+                const TYPES = { array: 'checkbox', boolean: 'checkbox', integer: 'number', number: 'number' };
+                const FORMAT_TYPES = { date: 'date', email: 'email', uri: 'url' };
+                const field = { type: TYPES[jsonType] || FORMAT_TYPES[prop.format] || 'text', rules: '' };
+                if (jsonType === 'array') field.multiple = true;
+
+                const rules = [];
+                if (required.includes(name)) rules.push('required');
+                if (jsonType === 'string') {
+                    // Rules too: the type only checks the format in a browser
+                    const FORMATS = { email: 'email', uri: 'url', date: 'datetime:2006-01-02', uuid: 'uuid', ipv4: 'ipv4', ipv6: 'ipv6', hostname: 'hostname' };
+                    if (FORMATS[prop.format]) rules.push(FORMATS[prop.format]);
+                    if (prop.minLength !== undefined && !(prop.minLength === 1 && rules.includes('required'))) rules.push(`minlength:${prop.minLength}`);
+                    if (prop.maxLength !== undefined) rules.push(`maxlength:${prop.maxLength}`);
+                    if (prop.pattern) {
+                        // JSON Schema patterns match anywhere, the pattern rule matches the whole value
+                        const anchored = /^\^/.test(prop.pattern) && /(^|[^\\])\$$/.test(prop.pattern);
+                        rules.push(`pattern:${quote(anchored ? prop.pattern : `[\\s\\S]*(?:${prop.pattern})[\\s\\S]*`)}`);
+                    }
+                    if (Array.isArray(prop.enum)) rules.push(`oneof:${quote(prop.enum.join(';'))}`);
+                } else if (jsonType === 'integer' || jsonType === 'number') {
+                    const RULES = { minimum: 'gte', maximum: 'lte', exclusiveMinimum: 'gt', exclusiveMaximum: 'lt', multipleOf: 'step' };
+                    Object.keys(RULES).filter(key => typeof prop[key] === 'number').forEach(key => rules.push(`${RULES[key]}:${prop[key]}`));
+                    if (jsonType === 'integer' && prop.multipleOf === undefined) rules.push('step:1');
+                } else if (jsonType === 'array') {
+                    if (prop.minItems !== undefined && !(prop.minItems === 1 && rules.includes('required'))) rules.push(`min_checked:${prop.minItems}`);
+                    if (prop.maxItems !== undefined) rules.push(`max_checked:${prop.maxItems}`);
                 }
+
+                field.rules = rules.join(',');
+                fields[name] = field;
+            });
+
+            const meta = (json && json['x-krisform']) || {};
+            return { version: 1, fields, dependencies: meta.dependencies || [] };
+        }
+
+        /**
+         * toJSONSchema with a new validator (global and built-in rules only)
+         */
+        static toJSONSchema(schema) {
+            return new Validator().toJSONSchema(schema);
+        }
+
+        /**
+         * fromJSONSchema with a new validator
+         */
+        static fromJSONSchema(json) {
+            return new Validator().fromJSONSchema(json);
+        }
+
+        /**
+         * Stand-ins for the fields of a validateObject record: what the rules read from an element
+         * (type, name, value, checked, files, getAttribute). Fields of the data without rules are
+         * included for cross-field rules.
+         */
+        _createRecord(data, schema) {
+            const record = { data, fields: Object.create(null) };
+            const names = [...new Set([...Object.keys(schema), ...Object.keys(data)])];
+            names.forEach(name => {
+                const def = schema[name];
+                const spec = (def && typeof def === 'object') ? def : { rules: def };
+                const attributes = { ...(spec.attributes || {}), [CONSTANTS.ATTR.VALIDATOR]: spec.rules || '' };
+                const field = {
+                    record,
+                    name,
+                    type: spec.type || 'text',
+                    inputMode: attributes.inputmode || '',
+                    rules: spec.rules || '',
+                    locale: spec.locale || null,
+                    messages: spec.messages || {},
+                    getAttribute: (attr) => Object.prototype.hasOwnProperty.call(attributes, attr) ? String(attributes[attr]) : null
+                };
+                const raw = Object.prototype.hasOwnProperty.call(data, name) ? data[name] : null;
+                if (field.type === 'file') field.files = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+                field.value = this._toFieldValue(raw, field);
+                field.checked = field.value !== '';
+                if (field.type === 'select-multiple') field.selectedOptions = field.value.map(value => ({ value }));
+                record.fields[name] = field;
+            });
+            return record;
+        }
+
+        /**
+         * A data value as its field would hold it: strings, arrays for multi-selects and groups,
+         * true as "on" and false as "" for checkboxes, numbers formatted in the field's locale
+         * (except number inputs), dates in the field's layout, file names for files
+         */
+        _toFieldValue(raw, field) {
+            if (field.type === 'file') return field.files.length ? String(field.files[0].name || '') : '';
+            if (field.type === 'select-multiple' && !Array.isArray(raw)) raw = (raw === null || raw === undefined || raw === '') ? [] : [raw];
+            if (Array.isArray(raw)) return raw.map(String);
+            if (raw === null || raw === undefined || raw === false) return '';
+            if (raw === true) return 'on';
+            if (raw instanceof Date) return Utils.formatDate(raw, this.getDateLayout(field) || '2006-01-02T15:04:05');
+            if (typeof raw === 'number' && !['number', 'range'].includes(field.type)) return String(Utils.formatNumber(raw, this.getLocale(field)));
+            return String(raw);
+        }
+
+        /**
+         * Another field of the same form, or of the same validateObject record
+         * @returns {{value, el}|null} null for elements outside a form
+         */
+        _getOtherField(el, name) {
+            if (el && el.record) {
+                const field = el.record.fields[name];
+                return field ? { value: field.value, el: field } : { value: null, el: null };
             }
-            return { valid: true };
+            if (!el || !el.form) return null;
+            const elements = Utils.findFieldElements(el.form, name);
+            return { value: Utils.getFieldValue(elements), el: elements[0] || null };
+        }
+
+        /**
+         * Message of a validateObject failure: the field's messages, KrisFormTranslateMessages,
+         * then the rule's registered message
+         */
+        _getFieldMessage(field, rule, param) {
+            const i18n = global.KrisFormTranslateMessages || {};
+            if (field.messages[rule]) return String(field.messages[rule]).replace('%s', param || '');
+            if (i18n[rule]) return i18n[rule].replace('%s', param || '');
+            if (this.getMessage(rule, param)) return this.getMessage(rule, param);
+            if (i18n.default) return i18n.default.replace('%s', rule);
+            return `${DEFAULTS.i18n.defaultError}: ${rule}`;
+        }
+
+        /**
+         * Async rules of a rule string (or of rules from parseRules()), in order
+         * @returns {Array<{rule, param, quoted}>}
+         */
+        getAsyncRules(rulesStr) {
+            return (Array.isArray(rulesStr) ? rulesStr : this.parseRules(rulesStr))
+                .map(({ name, param, quoted }) => ({ rule: this.getRule(name), param, quoted: !!quoted }))
+                .filter(entry => entry.rule && entry.rule.async);
+        }
+
+        /**
+         * Default message of a registered rule, "%s" replaced by the param
+         */
+        getMessage(name, param) {
+            const rule = this.getRule(name);
+            if (!rule || !rule.message) return null;
+            if (typeof rule.message === 'function') return rule.message(param);
+            return String(rule.message).replace('%s', param || '');
         }
     }
 
+    // Global rule registry (see Validator.registerRule)
+    Validator.RULES = Object.create(null);
+
+    // Card number patterns by brand, most specific first (mir before the 2-series mastercard range)
+    Validator.CARD_BRANDS = {
+        mir: /^220[0-4]\d{12,15}$/,
+        visa: /^4\d{12}(?:\d{3}){0,2}$/,
+        mastercard: /^(?:5[1-5]\d{4}|222[1-9]\d{2}|22[3-9]\d{3}|2[3-6]\d{4}|27[01]\d{3}|2720\d{2})\d{10}$/,
+        amex: /^3[47]\d{13}$/,
+        discover: /^6(?:011|5\d{2}|4[4-9]\d)\d{12,15}$/,
+        diners: /^3(?:0[0-5]|[68]\d)\d{11,16}$/,
+        jcb: /^35(?:2[89]|[3-8]\d)\d{12,15}$/,
+        unionpay: /^62\d{14,17}$/
+    };
+
+    // Rules reading their value as a (localized) number
+    Validator.NUMERIC_RULES = ['number', 'lt', 'gt', 'lte', 'gte', 'ltfield', 'gtfield', 'ltefield', 'gtefield', 'step'];
+
+    // Built-in rule metadata. Required rules also run on empty values.
+    Validator.RULE_META = {
+        required: { runsOnEmpty: true },
+        required_with: { runsOnEmpty: true },
+        required_without: { runsOnEmpty: true },
+        // Group rules count the selection of the element, whatever its own value
+        min_checked: { runsOnEmpty: true },
+        max_checked: { runsOnEmpty: true },
+        min_files: { runsOnEmpty: true },
+        // Attributes read from the field besides its value (exported by exportSchema)
+        min: { attributes: ['inputmode'] },
+        max: { attributes: ['inputmode'] },
+        step: { attributes: ['min'] },
+        strength: { attributes: [CONSTANTS.ATTR.STRENGTH_INPUTS] },
+        remote: { async: true },
+        // Files are read locally: no debounce, and the value (file name) is no cache key
+        dimensions: { async: true, asyncOptions: { debounce: 0, cacheTTL: 0 } }
+    };
+
     // --- Main Library Class ---
 
     class KrisForm {
@@ -658,8 +2304,9 @@
             this.el = element;
             this.config = this._mergeConfig(options);
             this.dependencies = options.dependencies || [];
+            this.declarativeRules = []; // From data-* attributes, rebuilt by init()
             
-            this.validator = new Validator();
+            this.validator = new Validator({ locale: this.config.locale });
             
             // State
             this.state = {
@@ -669,6 +2316,13 @@
             };
 
             this.dependencyMap = new Map();
+            this.compiledRules = new Map(); // Rule -> { condition, expressions }
+            this.dependencyGraph = null; // Built at init, see getDependencyGraph()
+            this._cascade = null; // Active cascade: { pending, done, isInit }
+
+            // Expression functions visible only to this form (see registerFunction)
+            this.functions = Object.create(null);
+            Object.keys(options.functions || {}).forEach(name => this.registerFunction(name, options.functions[name]));
 
             // Bind methods for Event Listeners to allow removal later
             this._handleInput = this._handleInput.bind(this);
@@ -680,51 +2334,514 @@
         }
 
         /**
-         * Deep merge configuration
+         * Deep merge configuration
+         */
+        _mergeConfig(options) {
+            return {
+                ...DEFAULTS,
+                ...options,
+                selectors: { ...DEFAULTS.selectors, ...(options.selectors || {}) },
+                classes: { ...DEFAULTS.classes, ...(options.classes || {}) },
+                i18n: { ...DEFAULTS.i18n, ...(options.i18n || {}) },
+                async: { ...DEFAULTS.async, ...(options.async || {}) }
+            };
+        }
+
+        init() {
+            this.declarativeRules = this._collectDeclarativeRules();
+            this._groupDependencies();
+            this.dependencyGraph = this._buildDependencyGraph();
+            this.validateConfig();
+            this._snapshotState();
+            this._bindEvents();
+            
+            // Initial calculation
+            this.updateAllDependencies(true);
+        }
+
+        /**
+         * Clean up listeners and memory
+         */
+        destroy() {
+            this.el.removeEventListener('input', this._handleInput);
+            this.el.removeEventListener('change', this._handleChange);
+            this.el.removeEventListener('focusout', this._handleFocusOut);
+            this.el.removeEventListener('submit', this._handleSubmit);
+            this._getValidatedFields().forEach(el => this._cancelAsync(el));
+            if (this._nativeNoValidate !== undefined) this.el.noValidate = this._nativeNoValidate;
+            
+            this.state.initialValues.clear();
+            this.state.lastCommittedValues.clear();
+            this.dependencyMap.clear();
+            this.compiledRules.clear();
+            this.dependencyGraph = null;
+        }
+
+        /**
+         * Builds rules from data-show-if / data-required-if / data-disable-if / data-compute / data-load-url
+         * attributes on fields or containers. The target is the element's field (or every field inside
+         * a container); the source is "data-source" or, by default, every field the expression reads.
+         */
+        _collectDeclarativeRules() {
+            const A = CONSTANTS.ATTR;
+            const attrs = [...Object.keys(CONSTANTS.DECLARATIVE_ACTIONS), A.COMPUTE, A.LOAD_URL];
+            const fieldSelector = this.config.selectors.fields.join(',');
+            const rules = [];
+
+            const fieldName = (el) => el.getAttribute('name') || el.getAttribute(A.FIELD) || el.id;
+            const sourceOf = (el, expr) => {
+                if (el.hasAttribute(A.SOURCE)) return el.getAttribute(A.SOURCE);
+                try {
+                    const compiled = Evaluator.compile(expr, this.functions);
+                    return [
+                        ...Evaluator.getFieldRefs(compiled),
+                        ...Evaluator.getFieldArrayRefs(compiled).map(name => `${name}[]`)
+                    ].join(',');
+                } catch (e) {
+                    return ''; // Syntax errors are reported by validateConfig()
+                }
+            };
+
+            this.el.querySelectorAll(attrs.map(attr => `[${attr}]`).join(',')).forEach(el => {
+                const fields = el.matches(fieldSelector) ? [el] : [...el.querySelectorAll(fieldSelector)];
+                const target = [...new Set(fields.map(fieldName).filter(Boolean))].join(',');
+
+                Object.keys(CONSTANTS.DECLARATIVE_ACTIONS).forEach(attr => {
+                    if (!el.hasAttribute(attr)) return;
+                    const condition = el.getAttribute(attr);
+                    rules.push({ source: sourceOf(el, condition), condition, action: CONSTANTS.DECLARATIVE_ACTIONS[attr], target });
+                });
+
+                if (el.hasAttribute(A.COMPUTE)) {
+                    const expr = el.getAttribute(A.COMPUTE);
+                    rules.push({ source: sourceOf(el, expr), condition: 'true', action: `set_computed_value:${expr}`, target });
+                }
+
+                if (el.hasAttribute(A.LOAD_URL)) {
+                    const condition = el.getAttribute(A.LOAD_IF) || "value !== ''";
+                    rules.push({ source: el.getAttribute(A.SOURCE) || '', condition, target, 'data-url': el.getAttribute(A.LOAD_URL) });
+                }
+            });
+
+            return rules;
+        }
+
+        /**
+         * Configured rules followed by the declarative ones
+         */
+        _getRules() {
+            return this.dependencies.concat(this.declarativeRules);
+        }
+
+        _groupDependencies() {
+            const add = (key, dep) => {
+                if (!this.dependencyMap.has(key)) this.dependencyMap.set(key, []);
+                if (!this.dependencyMap.get(key).includes(dep)) this.dependencyMap.get(key).push(dep);
+            };
+
+            this._getRules().forEach(dep => {
+                const compiled = this._compileRule(dep);
+                compiled.sources.forEach(sourceName => add(sourceName, dep));
+
+                // Every field the expressions read is an implicit trigger ("auto_subscribe: false" opts out).
+                // "fields.items[]" subscribes to the whole group.
+                if (dep.auto_subscribe === false) return;
+                [compiled.condition, ...compiled.expressions].filter(Boolean).forEach(expr => {
+                    const keys = [
+                        ...Evaluator.getFieldRefs(expr),
+                        ...Evaluator.getFieldArrayRefs(expr).map(name => `${name}[]`)
+                    ];
+                    keys.filter(key => !compiled.sources.includes(key)).forEach(key => {
+                        compiled.implicitSources.add(key);
+                        add(key, dep);
+                    });
+                });
+            });
+        }
+
+        /**
+         * Compiles the rules again, e.g. after a function they call was registered
+         */
+        _recompileRules() {
+            this.dependencyMap.clear();
+            this.compiledRules.clear();
+            this._groupDependencies();
+            this.dependencyGraph = this._buildDependencyGraph();
+        }
+
+        /**
+         * Lints the dependency rules against the form: missing fields, unknown actions,
+         * bad action params, unparsable expressions and unknown "fields.X" / function references.
+         * Dispatches "krisform:config-error" when problems are found; throws in strictConfig mode.
+         * @returns {{valid: boolean, errors: Array<{index: number, code: string, message: string, rule: Object}>}}
+         */
+        validateConfig() {
+            const errors = [];
+
+            const fieldExists = (name) => name.endsWith('[]')
+                ? this._collectFieldValues(name.slice(0, -2)).length > 0
+                : Utils.findFieldElements(this.el, name).length > 0;
+
+            this._getRules().forEach((dep, index) => {
+                const report = (code, message) => errors.push({ index, code, message: `Dependency #${index} (${dep.source || '?'}): ${message}`, rule: dep });
+                const list = (str) => String(str || '').split(',').map(s => s.trim()).filter(Boolean);
+
+                if (!list(dep.source).length) report('missing_source', 'no source field');
+                list(dep.source).forEach(name => {
+                    if (!fieldExists(name)) report('unknown_field', `source field "${name}" not found`);
+                });
+                list(dep.target).forEach(name => {
+                    if (!fieldExists(name)) report('unknown_field', `target field "${name}" not found`);
+                });
+
+                [dep.action, dep.inverse_action].forEach(actionStr => {
+                    if (actionStr === undefined || actionStr === null || actionStr === '') return;
+                    const sepIdx = String(actionStr).indexOf(':');
+                    const action = sepIdx === -1 ? String(actionStr) : String(actionStr).slice(0, sepIdx);
+
+                    if (!CONSTANTS.ACTIONS.includes(action)) {
+                        report('unknown_action', `unknown action "${action}"`);
+                    } else if (sepIdx === -1 && CONSTANTS.ACTIONS_WITH_PARAM.includes(action) && !(action === 'set_value' && dep['data-url'])) {
+                        report('invalid_param', `action "${action}" requires a parameter ("${action}:...")`);
+                    } else if (action === 'set_computed_value' && !String(actionStr).slice(sepIdx + 1).trim()) {
+                        report('invalid_param', 'set_computed_value requires an expression');
+                    }
+                });
+
+                const compiled = this.compiledRules.get(dep) || this._compileRule(dep);
+                compiled.errors.forEach(err => report(err.code, err.message));
+
+                [compiled.condition, ...compiled.expressions].filter(Boolean).forEach(expr => {
+                    Evaluator.getFieldRefs(expr).forEach(name => {
+                        if (!fieldExists(name)) report('unknown_field', `expression references unknown field "fields.${name}"`);
+                    });
+                    Evaluator.getFieldArrayRefs(expr).forEach(name => {
+                        if (!fieldExists(`${name}[]`)) report('unknown_field', `expression references unknown field group "fields.${name}[]"`);
+                    });
+                });
+            });
+
+            const graph = this.dependencyGraph || this._buildDependencyGraph();
+            graph.cycles.forEach(cycle => {
+                errors.push({ index: -1, code: 'cycle', message: `Dependency cycle: ${cycle.join(' -> ')}`, rule: null });
+            });
+
+            const result = { valid: errors.length === 0, errors };
+            if (!result.valid) {
+                errors.forEach(err => console.error(`[KrisForm] ${err.message}`));
+                this.el.dispatchEvent(new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':config-error', { bubbles: true, detail: result }));
+                if (this.config.strictConfig) {
+                    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+                    throw new Error(`KrisForm: Invalid configuration: ${errors[0].message}${more}`);
+                }
+            }
+            return result;
+        }
+
+        /**
+         * Dependency keys triggered by a field: its name, plus "base[]" for repeated fields
+         * such as items[0][price] or several inputs sharing one name
+         */
+        _getTriggerNames(el) {
+            return el.name ? this._getTriggerKeys(el.name) : [];
+        }
+
+        _getTriggerKeys(name) {
+            const bracket = name.indexOf('[');
+            const groupKey = (bracket > 0 ? name.slice(0, bracket) : name) + '[]';
+            return [name, groupKey].filter((key, i, arr) => arr.indexOf(key) === i && this.dependencyMap.has(key));
+        }
+
+        _getRuleTargets(dep) {
+            return String(dep.target || '').split(',').map(s => s.trim()).filter(Boolean);
+        }
+
+        /**
+         * Builds the field graph: trigger -> target for every rule, "fields.X" reference -> target,
+         * and repeated member -> group ("items[0][qty]" -> "items[]").
+         * Computes a topological order and detects cycles.
+         */
+        _buildDependencyGraph() {
+            const edges = new Map(); // name -> Set(name)
+            const addNode = (name) => {
+                if (!edges.has(name)) edges.set(name, new Set());
+            };
+            const addEdge = (from, to) => {
+                addNode(from);
+                addNode(to);
+                if (from !== to) edges.get(from).add(to); // Self-updates (e.g. normalizing a value) are not cycles
+            };
+
+            this.dependencyMap.forEach((deps, key) => {
+                addNode(key);
+                deps.forEach(dep => this._getRuleTargets(dep).forEach(target => addEdge(key, target)));
+            });
+
+            this._getRules().forEach(dep => {
+                const compiled = this.compiledRules.get(dep);
+                if (!compiled) return;
+                [compiled.condition, ...compiled.expressions].filter(Boolean).forEach(expr => {
+                    Evaluator.getFieldRefs(expr).forEach(ref => this._getRuleTargets(dep).forEach(target => addEdge(ref, target)));
+                });
+            });
+
+            [...edges.keys()].forEach(name => {
+                this._getTriggerKeys(name).forEach(key => {
+                    if (key !== name) addEdge(name, key);
+                });
+            });
+
+            // Kahn's algorithm; nodes left over belong to (or depend on) a cycle
+            const inDegree = new Map([...edges.keys()].map(name => [name, 0]));
+            edges.forEach(targets => targets.forEach(to => inDegree.set(to, inDegree.get(to) + 1)));
+            const queue = [...inDegree.keys()].filter(name => inDegree.get(name) === 0);
+            const order = [];
+            while (queue.length) {
+                const name = queue.shift();
+                order.push(name);
+                edges.get(name).forEach(to => {
+                    inDegree.set(to, inDegree.get(to) - 1);
+                    if (inDegree.get(to) === 0) queue.push(to);
+                });
+            }
+            const cycles = this._findCycles(edges);
+            edges.forEach((_, name) => {
+                if (!order.includes(name)) order.push(name);
+            });
+
+            return {
+                edges,
+                order,
+                cycles,
+                rank: new Map(order.map((name, i) => [name, i]))
+            };
+        }
+
+        /**
+         * Depth-first search for back edges. Returns each cycle once, e.g. ["a", "b", "a"].
+         */
+        _findCycles(edges) {
+            const cycles = [];
+            const state = new Map(); // name -> 1 (visiting) | 2 (done)
+            const stack = [];
+            const seen = new Set();
+
+            const visit = (name) => {
+                state.set(name, 1);
+                stack.push(name);
+                edges.get(name).forEach(to => {
+                    if (state.get(to) === 1) {
+                        const cycle = stack.slice(stack.indexOf(to)).concat(to);
+                        const key = cycle.slice(0, -1).sort().join('|');
+                        if (!seen.has(key)) {
+                            seen.add(key);
+                            cycles.push(cycle);
+                        }
+                    } else if (!state.has(to)) {
+                        visit(to);
+                    }
+                });
+                stack.pop();
+                state.set(name, 2);
+            };
+
+            edges.forEach((_, name) => {
+                if (!state.has(name)) visit(name);
+            });
+            return cycles;
+        }
+
+        /**
+         * Snapshot of the dependency graph
+         * @returns {{nodes: string[], edges: Array<{from: string, to: string}>, order: string[], cycles: string[][]}}
+         */
+        getDependencyGraph() {
+            const graph = this.dependencyGraph || this._buildDependencyGraph();
+            const edges = [];
+            graph.edges.forEach((targets, from) => targets.forEach(to => edges.push({ from, to })));
+            return {
+                nodes: [...graph.edges.keys()],
+                edges,
+                order: graph.order.slice(),
+                cycles: graph.cycles.map(c => c.slice())
+            };
+        }
+
+        /**
+         * Runs a change and everything downstream of it as one cascade.
+         * Affected trigger keys run once each, in topological order, so chains are
+         * evaluated once per user change and cycles cannot loop.
+         */
+        _runCascade(start, isInit = false) {
+            if (this._cascade) return start();
+
+            const cascade = this._cascade = { pending: new Set(), done: new Set(), isInit };
+            try {
+                start();
+                while (cascade.pending.size) {
+                    const key = this._nextInOrder(cascade.pending);
+                    cascade.pending.delete(key);
+                    if (cascade.done.has(key)) continue;
+                    if (!isInit && !key.endsWith('[]')) this.state.lastCommittedValues.set(key, this.getFieldValue(key));
+                    // Downstream fields change programmatically: there is no user change to confirm
+                    this._runDependencyRules(key, true, isInit, null, !isInit);
+                }
+            } finally {
+                this._cascade = null;
+            }
+        }
+
+        _nextInOrder(keys) {
+            const rank = this.dependencyGraph ? this.dependencyGraph.rank : new Map();
+            let best = null;
+            keys.forEach(key => {
+                const r = rank.has(key) ? rank.get(key) : Infinity;
+                if (best === null || r < best.r) best = { key, r };
+            });
+            return best.key;
+        }
+
+        /**
+         * Routes a field event to its dependency rules.
+         * Synthetic events fired by actions join the running cascade instead of re-entering it.
+         */
+        _triggerDependencies(el, isChange) {
+            const names = this._getTriggerNames(el);
+            if (!names.length) return;
+
+            if (this._cascade) {
+                names.forEach(name => this._cascade.pending.add(name));
+                return;
+            }
+
+            this._runCascade(() => names.forEach(name => {
+                if (isChange && name === el.name) this._handleDependencyChange(el);
+                else this._processDependenciesForField(name, isChange); // Group triggers have no single value to restore
+            }));
+        }
+
+        /**
+         * Compiles the condition and computed expressions of a rule once.
+         * Syntax errors are reported here instead of on every input; a broken condition is never met.
+         */
+        _compileRule(dep) {
+            const compiled = {
+                sources: String(dep.source || '').split(',').map(s => s.trim()).filter(Boolean),
+                implicitSources: new Set(),
+                condition: null,
+                expressions: [],
+                errors: []
+            };
+            const tryCompile = (expr) => {
+                try {
+                    return Evaluator.compile(expr, this.functions);
+                } catch (e) {
+                    compiled.errors.push({ code: e.code || 'syntax_error', message: e.message }); // Reported by validateConfig()
+                    return null;
+                }
+            };
+
+            if (dep.condition) compiled.condition = tryCompile(dep.condition);
+
+            [dep.action, dep.inverse_action].forEach(actionStr => {
+                if (typeof actionStr === 'string' && actionStr.startsWith('set_computed_value:')) {
+                    const expr = tryCompile(actionStr.slice('set_computed_value:'.length));
+                    if (expr) compiled.expressions.push(expr);
+                }
+            });
+
+            this.compiledRules.set(dep, compiled);
+            return compiled;
+        }
+
+        /**
+         * Creates an evaluation scope for one pass over the rules of a source field.
+         * Each condition is evaluated at most once per scope.
+         */
+        _createConditionScope(sourceName) {
+            const value = sourceName.endsWith('[]') ? this._collectFieldValues(sourceName.slice(0, -2)) : this.getFieldValue(sourceName);
+            const expressionValue = sourceName.endsWith('[]') ? value : this._getExpressionValue(sourceName);
+            const fieldProvider = this._createFieldProvider();
+            const valueLayout = sourceName.endsWith('[]') ? null : fieldProvider.layout(sourceName);
+            const context = Evaluator._createContext(expressionValue, (attr) => this.getFieldState(sourceName, attr), valueLayout);
+            const results = new Map();
+
+            const isMet = (dep) => {
+                if (!results.has(dep)) {
+                    const compiled = this.compiledRules.get(dep) || this._compileRule(dep);
+                    let met = false;
+                    try {
+                        met = compiled.condition ? !!compiled.condition.evaluate(context, fieldProvider, this.functions) : false;
+                    } catch (e) {
+                        // Already reported when the rule was compiled
+                    }
+                    results.set(dep, met);
+                }
+                return results.get(dep);
+            };
+
+            return { value, expressionValue, valueLayout, isMet };
+        }
+
+        /**
+         * Returns a function picking the condition scope for each rule triggered by sourceName.
+         * Implicit triggers (fields read by the rule) keep "value" bound to the rule's declared source.
+         */
+        _createScopeResolver(sourceName) {
+            const scopes = new Map();
+            return (dep) => {
+                const compiled = dep ? this.compiledRules.get(dep) : null;
+                const isImplicit = compiled && compiled.implicitSources.has(sourceName) && compiled.sources.length > 0;
+                const key = isImplicit ? compiled.sources[0] : sourceName;
+                if (!scopes.has(key)) scopes.set(key, this._createConditionScope(key));
+                return scopes.get(key);
+            };
+        }
+
+        /**
+         * Registers an expression function for this form only
+         * @param {string} name
+         * @param {Function} fn
+         * @param {{pure?: boolean}} [options]
+         * @returns {KrisForm}
          */
-        _mergeConfig(options) {
-            return {
-                ...DEFAULTS,
-                ...options,
-                selectors: { ...DEFAULTS.selectors, ...(options.selectors || {}) },
-                classes: { ...DEFAULTS.classes, ...(options.classes || {}) },
-                i18n: { ...DEFAULTS.i18n, ...(options.i18n || {}) }
-            };
+        registerFunction(name, fn, options = {}) {
+            Evaluator.registerFunction(name, fn, options, this.functions);
+            // Rules compiled at init may call it
+            if (this.dependencyGraph) this._recompileRules();
+            return this;
         }
 
-        init() {
-            this._groupDependencies();
-            this._snapshotState();
-            this._bindEvents();
-            
-            // Initial calculation
-            this.updateAllDependencies(true);
+        /**
+         * Registers an expression function for all forms
+         * @param {string} name
+         * @param {Function} fn
+         * @param {{pure?: boolean}} [options]
+         */
+        static registerFunction(name, fn, options = {}) {
+            Evaluator.registerFunction(name, fn, options);
         }
 
         /**
-         * Clean up listeners and memory
+         * Registers a validation rule for this form only
+         * @param {string} name
+         * @param {Function} fn (value, param, el) => boolean (or Promise when async)
+         * @param {{message?: string|Function, async?: boolean, params?: string[]|Function, normalize?: Function, runsOnEmpty?: boolean}} [options]
+         * @returns {KrisForm}
          */
-        destroy() {
-            this.el.removeEventListener('input', this._handleInput);
-            this.el.removeEventListener('change', this._handleChange);
-            this.el.removeEventListener('focusout', this._handleFocusOut);
-            this.el.removeEventListener('submit', this._handleSubmit);
-            
-            this.state.initialValues.clear();
-            this.state.lastCommittedValues.clear();
-            this.dependencyMap.clear();
+        registerRule(name, fn, options = {}) {
+            this.validator.registerRule(name, fn, options);
+            return this;
         }
 
-        _groupDependencies() {
-            this.dependencies.forEach(dep => {
-                const sources = dep.source.split(',').map(s => s.trim());
-                sources.forEach(sourceName => {
-                    if (!this.dependencyMap.has(sourceName)) {
-                        this.dependencyMap.set(sourceName, []);
-                    }
-                    this.dependencyMap.get(sourceName).push(dep);
-                });
-            });
+        /**
+         * Registers a validation rule for all forms
+         * @param {string} name
+         * @param {Function} fn
+         * @param {Object} [options] See registerRule()
+         */
+        static registerRule(name, fn, options = {}) {
+            Validator.registerRule(name, fn, options);
         }
 
         _snapshotState() {
@@ -746,6 +2863,13 @@
             this.el.addEventListener('change', this._handleChange);
             this.el.addEventListener('focusout', this._handleFocusOut);
             this.el.addEventListener('submit', this._handleSubmit);
+
+            // KrisForm checks constraints on submit (see _checkNativeValidity). The browser's own check would
+            // run first and trust custom validity messages that are stale after a script changed a value.
+            if ('noValidate' in this.el) {
+                this._nativeNoValidate = this.el.noValidate;
+                this.el.noValidate = true;
+            }
         }
 
         // --- Event Handlers (Delegated) ---
@@ -756,7 +2880,8 @@
             this._checkDirty();
 
             // Validate on input
-            if (el.matches('[data-validator]')) {
+            if (this._isValidated(el)) {
+                this._updateStrength(el);
                 const mode = this.config.validationMode;
                 
                 if (mode !== 'blur') {
@@ -764,7 +2889,7 @@
                         if (mode === 'lazy') {
                             // Lazy mode: validate on input ONLY if field is already invalid (to clear error)
                             // Initial validation happens on blur
-                            if (el.classList.contains(this.config.classes.invalid[0])) {
+                            if (el.classList.contains(this.config.classes.invalid[0]) || el.classList.contains(this.config.classes.warning[0])) {
                                 this.validateField(el);
                             }
                         } else {
@@ -787,37 +2912,102 @@
 
             // Dependencies (Instant)
             // Only process dependencies that don't require confirmation/Change event
-            if (el.name && this.dependencyMap.has(el.name)) {
-                this._processDependenciesForField(el.name, false);
-            }
+            this._triggerDependencies(el, false);
         }
 
         _handleChange(e) {
             const el = e.target;
             this._checkDirty();
 
-            if (el.matches('[data-validator]')) {
+            if (this._isValidated(el)) {
                 this.validateField(el);
             }
 
             // Dependencies (With potential confirmation)
-            if (el.name && this.dependencyMap.has(el.name)) {
-                this._handleDependencyChange(el);
-            }
+            this._triggerDependencies(el, true);
         }
 
         _handleFocusOut(e) {
             const el = e.target;
-            if (el.matches('[data-validator]')) {
+            if (this._isValidated(el)) {
                 this.validateField(el);
             }
         }
 
         _handleSubmit(e) {
-            if (!this.validateAll()) {
-                e.preventDefault();
-                e.stopPropagation();
+            // Resumed submission: already validated
+            if (this._resumingSubmit) return;
+            if (this.validateAll({ immediate: true })) {
+                if (!this._checkNativeValidity() || !this._confirmWarnings(e.submitter || null)) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const fields = this._getValidatedFields();
+            const hasErrors = fields.some(el => el._krisError && !el._krisAsyncPending); // Pending fields may show a stale error
+            if (hasErrors || !fields.some(el => el._krisAsyncPending)) {
                 this.scrollToError();
+                return;
+            }
+
+            // Only async checks are left: wait for them, then continue the original submission
+            const submitter = e.submitter || null;
+            this._settleAsync().then(() => {
+                if (!this._getValidationResult().valid) {
+                    this.scrollToError();
+                    return;
+                }
+                if (this._checkNativeValidity() && this._confirmWarnings(submitter)) this._resumeSubmit(submitter);
+            });
+        }
+
+        /**
+         * Native constraints of fields KrisForm doesn't validate, reported with the browser's own tooltips.
+         * Skipped if the form had novalidate itself.
+         * @returns {boolean}
+         */
+        _checkNativeValidity() {
+            if (this._nativeNoValidate || typeof this.el.checkValidity !== 'function' || this.el.checkValidity()) return true;
+            this.el.reportValidity();
+            return false;
+        }
+
+        /**
+         * Gives the UI a chance to ask "are you sure?" before a valid submission with warnings.
+         * A listener holding it back calls preventDefault() and later detail.proceed().
+         * @returns {boolean} false when held back
+         */
+        _confirmWarnings(submitter) {
+            const { warnings } = this._getValidationResult();
+            if (!warnings.length) return true;
+
+            const event = new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':warning', {
+                bubbles: true,
+                cancelable: true,
+                detail: { submit: true, warnings, proceed: () => this._resumeSubmit(submitter) }
+            });
+            return this.el.dispatchEvent(event);
+        }
+
+        /**
+         * Continues a submission held back by async checks. requestSubmit() fires "submit" again
+         * for other listeners and keeps the submitter's name/value.
+         */
+        _resumeSubmit(submitter) {
+            this._resumingSubmit = true;
+            try {
+                if (typeof this.el.requestSubmit === 'function') {
+                    this.el.requestSubmit(submitter && submitter.form === this.el ? submitter : undefined);
+                } else {
+                    HTMLFormElement.prototype.submit.call(this.el);
+                }
+            } finally {
+                this._resumingSubmit = false;
             }
         }
 
@@ -849,165 +3039,551 @@
 
         // --- Validation ---
 
-        validateField(el) {
+        /**
+         * Validates one field. Returns 'false' while async rules are pending (see validate()).
+         * @param {HTMLElement} el
+         * @param {{immediate?: boolean}} [options] immediate: skip the async debounce (used on submit)
+         * @returns {boolean}
+         */
+        validateField(el, options = {}) {
+            el = this._getGroupLead(el);
             const isFile = el.type === 'file';
             // Validation Logic: Skip invisible/disabled unless it's a file input (which might be styled hidden)
             if (!isFile && (el.disabled || !Utils.isVisible(el))) {
+                this._cancelAsync(el);
                 this.clearError(el);
+                this.clearWarning(el);
                 return true;
             }
 
-            let rules = el.getAttribute(CONSTANTS.ATTR.VALIDATOR) || "";
-                        // Integration: If HTML5 required property is set (statically or dynamically), enforce it in validation
-                        if (el.required && !/(^|,)required($|,|:)/.test(rules)) {
-                            rules = rules ? `required,${rules}` : 'required';
-                        }
+            const rules = el.getAttribute(CONSTANTS.ATTR.VALIDATOR) || "";
+            const ruleErrors = [];
+            let parsed = this.validator.parseRules(rules, ruleErrors);
+            if (ruleErrors.length) {
+                // Misconfigured rule string: report once; the rules that parsed and the native constraints still run
+                if (el._krisRuleError !== rules) ruleErrors.forEach(message => console.error(`[KrisForm] ${message}`));
+                el._krisRuleError = rules;
+            }
 
-                        const value = this._getElValue(el);
-                        const result = this.validator.validate(value, rules, el);
+            // Integration: native constraints (required, set statically or dynamically, type, pattern...) become rules
+            const nativeRules = this._getNativeRules(el, parsed);
+            if (nativeRules.length) parsed = this.validator.parseRules(nativeRules.join(',')).concat(parsed);
+
+            const value = this._getElValue(el);
+            const collectAll = el.hasAttribute(CONSTANTS.ATTR.VALIDATE_ALL)
+                ? el.getAttribute(CONSTANTS.ATTR.VALIDATE_ALL) !== 'false'
+                : !!this.config.validateAllRules;
+            const result = this.validator.validate(value, parsed, el, { all: collectAll });
+
+            // For UIs listing rule states (e.g. password checklists)
+            el.dispatchEvent(new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':validated', {
+                bubbles: true,
+                detail: { field: el.name, valid: result.valid, failures: result.failures || [] }
+            }));
 
             if (!result.valid) {
                 // If sync validation fails, cancel any pending async checks
-                if (el._krisAsyncTimeout) clearTimeout(el._krisAsyncTimeout);
-                delete el._krisAsyncPending;
-                
-                this.setError(el, result.failed, result.param);
+                this._cancelAsync(el);
+                this.setError(el, result.failed, result.param, null, result.failures);
+                this.clearWarning(el);
                 return false;
             }
 
+            this._checkWarnings(el, value);
+
             // Synchronous pass OK. Check for async rules.
-            const remoteMatch = rules.match(/remote:([^,]+)/);
-            if (remoteMatch) {
-                return this._validateRemote(el, value, remoteMatch[1]);
+            const asyncRules = this.validator.getAsyncRules(parsed);
+            if (asyncRules.length) {
+                return this._validateAsyncRules(el, value, asyncRules, !!options.immediate);
             }
 
+            this._cancelAsync(el);
             this.clearError(el);
             return true;
         }
 
         /**
-         * Handles async remote validation.
-         * Returns 'false' immediately to block submit until server responds.
+         * Rules for the native constraint attributes of a field (required, type="email"/"url", minlength,
+         * maxlength, pattern, min, max, step) that its data-validator doesn't already cover
+         * @returns {string[]}
          */
-        _validateRemote(el, value, urlPath) {
-            // If empty (and not required), skip remote check
-            if (value === '' || value === null) {
-                this.clearError(el);
-                return true;
+        _getNativeRules(el, parsed) {
+            const covered = (...names) => parsed.some(r => names.includes(r.name));
+            const attr = (name) => el.getAttribute(name);
+            const quote = (param) => `"${String(param).replace(/["\\]/g, '\\$&')}"`;
+            const rules = [];
+            const add = (name, param) => rules.push(param === undefined ? name : `${name}:${quote(param)}`);
+
+            if (el.required && !covered('required')) add('required');
+            if (el.type === 'email' && !covered('email', 'email_list')) add(el.multiple ? 'email_list' : 'email');
+            if (el.type === 'url' && !covered('url', 'http_url')) add('url');
+            if (attr('minlength') && !covered('minlength', 'min')) add('minlength', attr('minlength'));
+            if (attr('maxlength') && !covered('maxlength', 'max')) add('maxlength', attr('maxlength'));
+            if (attr('pattern') && !covered('pattern')) add('pattern', attr('pattern'));
+
+            // min/max compare numbers on numeric inputs and dates on date inputs
+            const RANGE = {
+                number: ['gte', 'lte'], range: ['gte', 'lte'],
+                date: ['after_or_equal', 'before_or_equal'], 'datetime-local': ['after_or_equal', 'before_or_equal'],
+                month: ['after_or_equal', 'before_or_equal']
+            };
+            const range = RANGE[el.type];
+            if (range && attr('min') && !covered(range[0], 'min')) add(range[0], attr('min'));
+            if (range && attr('max') && !covered(range[1], 'max')) add(range[1], attr('max'));
+            if (['number', 'range'].includes(el.type) && attr('step') && attr('step') !== 'any' && !covered('step')) {
+                add('step', attr('step'));
             }
+            return rules;
+        }
 
-            // Cache check
-            const cacheKey = `${urlPath}:${value}`;
-            if (el._krisAsyncCache && el._krisAsyncCache[cacheKey] !== undefined) {
-                const cached = el._krisAsyncCache[cacheKey];
-                if (cached.valid) {
-                    this.clearError(el);
-                    return true;
+        /**
+         * Live password strength of a field with a strength rule (on every input, whatever the
+         * validation mode): updates its data-strength-meter element and dispatches krisform:strength
+         */
+        _updateStrength(el) {
+            // Broken rules are reported by validateField()
+            const rule = this.validator.parseRules(el.getAttribute(CONSTANTS.ATTR.VALIDATOR) || '', []).find(r => r.name === 'strength');
+            if (!rule) return;
+
+            const i18n = global.KrisFormTranslateMessages || {};
+            const translate = (key) => i18n[key] || this.config.i18n[key] || key;
+            const result = this.validator.scoreStrength(el.value, el);
+            const min = Number(rule.param || 3);
+            const label = el.value ? translate(`strength_${result.score}`) : '';
+
+            const meterSelector = el.getAttribute(CONSTANTS.ATTR.STRENGTH_METER);
+            const meter = meterSelector ? document.querySelector(meterSelector) : null;
+            if (meter) {
+                if (meter.tagName === 'METER' || meter.tagName === 'PROGRESS') {
+                    meter.max = 4;
+                    meter.value = result.score;
+                    meter.title = label;
                 } else {
-                    this.setError(el, 'remote', null, cached.message);
-                    return false;
+                    Utils.setText(meter, label);
                 }
+                meter.setAttribute('data-score', el.value ? result.score : '');
             }
 
-            // Debounce
-            if (el._krisAsyncTimeout) clearTimeout(el._krisAsyncTimeout);
-            
-            // Set pending state (UI)
+            el.dispatchEvent(new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':strength', {
+                bubbles: true,
+                detail: {
+                    field: el.name,
+                    score: result.score,
+                    max: 4,
+                    min,
+                    valid: result.score >= min,
+                    label,
+                    entropy: result.entropy,
+                    suggestions: result.suggestions.map(code => ({ code, message: translate(`strength_${code}`) }))
+                }
+            }));
+        }
+
+        /**
+         * Evaluates the advisory data-warn rules of a valid value. Warnings never fail validation.
+         */
+        _checkWarnings(el, value) {
+            const warnRules = el.getAttribute(CONSTANTS.ATTR.WARN);
+            if (!warnRules) return;
+
+            let result;
+            try {
+                result = this.validator.validate(value, warnRules, el, { all: true });
+            } catch (e) {
+                if (el._krisWarnRuleError !== warnRules) console.error("[KrisForm] Invalid warning rules:", e);
+                el._krisWarnRuleError = warnRules;
+                result = { valid: true };
+            }
+
+            if (result.valid) this.clearWarning(el);
+            else this.setWarning(el, result.failures);
+        }
+
+        /**
+         * Runs the async rules of a field once its sync rules pass. Each rule has its own debounce,
+         * timeout and cache; the first failure is shown once all have settled. Network errors and
+         * timeouts leave the field "unverified". Returns 'false' while pending; el._krisAsyncPromise
+         * settles once the outcome is applied.
+         */
+        _validateAsyncRules(el, value, asyncRules, immediate = false) {
+            this._cancelAsync(el);
+            const token = el._krisAsyncToken;
             el._krisAsyncPending = true;
             el.classList.add('is-loading'); // Optional: CSS can show spinner
-            
-            el._krisAsyncTimeout = setTimeout(() => {
-                let url = this.config.endpoint ? this.config.endpoint + urlPath : urlPath;
-                const encodedVal = encodeURIComponent(value);
-                
-                if (url.includes('{value}')) {
-                    url = url.replace('{value}', encodedVal);
-                } else {
-                    const separator = url.includes('?') ? '&' : '?';
-                    url += `${separator}value=${encodedVal}`;
-                }
-
-                fetch(url)
-                    .then(r => r.json())
-                    .then(data => {
-                        // Cache result
-                        if (!el._krisAsyncCache) el._krisAsyncCache = {};
-                        el._krisAsyncCache[cacheKey] = data;
-
-                        // Ensure value hasn't changed while request was in flight
-                        if (this._getElValue(el) === value) {
-                            if (data.valid) {
-                                this.clearError(el);
-                                // If triggered by submit (and this was the only error), user has to click submit again 
-                                // or we could trigger a custom event.
-                            } else {
-                                this.setError(el, 'remote', null, data.message);
-                            }
+
+            el._krisAsyncPromise = Promise.all(asyncRules.map(entry => this._runAsyncRule(el, value, entry, token, immediate)))
+                .then(outcomes => {
+                    if (token !== el._krisAsyncToken) return; // Superseded by a newer check
+                    el.classList.remove('is-loading');
+                    delete el._krisAsyncPending;
+                    if (this._getElValue(el) !== value) return;
+
+                    const failed = outcomes.find(o => o.status === 'invalid');
+                    const unverified = outcomes.find(o => o.status === 'unverified');
+                    if (failed) {
+                        this.setError(el, failed.rule.name, failed.param, failed.message);
+                    } else if (unverified) {
+                        this._setUnverified(el);
+                    } else {
+                        this.clearError(el);
+                    }
+                });
+
+            return false;
+        }
+
+        /**
+         * Runs one async rule: cache lookup, debounce, then the rule with an AbortSignal and a timeout
+         * @returns {Promise<{status: string, rule, param, message, error}>} status: valid, invalid, unverified or stale
+         */
+        _runAsyncRule(el, value, { rule, param, quoted }, token, immediate = false) {
+            const settings = this._getAsyncSettings(rule);
+            const outcome = (status, extra = {}) => ({ status, rule, param, message: null, error: null, ...extra });
+
+            if (!el._krisAsyncCache) el._krisAsyncCache = new Map();
+            const cache = el._krisAsyncCache;
+            const cacheKey = `${rule.name}:${param}:${value}`;
+            const cached = cache.get(cacheKey);
+            if (cached && cached.expires > Date.now()) return Promise.resolve(outcome(cached.status, { message: cached.message }));
+
+            return new Promise(resolve => {
+                const timer = setTimeout(resolve, immediate ? 0 : settings.debounce);
+                el._krisAsyncCancels.push(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            }).then(() => {
+                if (token !== el._krisAsyncToken) return outcome('stale');
+
+                const controller = new AbortController();
+                el._krisAsyncCancels.push(() => controller.abort());
+                let timer = null;
+                // Settles even when the rule ignores the signal
+                const timeout = new Promise((_, reject) => {
+                    controller.signal.addEventListener('abort', () => reject(new Error(`KrisForm: Async rule "${rule.name}" aborted`)));
+                    if (!(settings.timeout > 0)) return;
+                    timer = setTimeout(() => {
+                        controller.abort();
+                        reject(new Error(`KrisForm: Async rule "${rule.name}" timed out after ${settings.timeout}ms`));
+                    }, settings.timeout);
+                });
+                const ctx = {
+                    quoted,
+                    signal: controller.signal,
+                    endpoint: this.config.endpoint,
+                    method: settings.method,
+                    headers: settings.headers,
+                    body: settings.body
+                };
+
+                return Promise.race([Promise.resolve().then(() => this.validator.runRule(rule, value, param, el, ctx)), timeout])
+                    .then(result => {
+                        const valid = result === true || !!(result && result.valid === true);
+                        const done = outcome(valid ? 'valid' : 'invalid', { message: (result && result.message) || null });
+                        if (settings.cacheTTL > 0) {
+                            if (cache.size >= 100) cache.clear();
+                            cache.set(cacheKey, { status: done.status, message: done.message, expires: Date.now() + settings.cacheTTL });
                         }
+                        return done;
                     })
-                    .catch(console.error)
-                    .finally(() => {
-                        el.classList.remove('is-loading');
-                        delete el._krisAsyncPending;
-                    });
-            }, 500); // Fixed 500ms delay for remote checks
+                    .catch(error => {
+                        if (token !== el._krisAsyncToken) return outcome('stale'); // Aborted by a newer check
+                        this.el.dispatchEvent(new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':async-error', {
+                            bubbles: true,
+                            detail: { field: el.name, rule: rule.name, error }
+                        }));
+                        return outcome('unverified', { error });
+                    })
+                    .finally(() => clearTimeout(timer));
+            });
+        }
 
-            return false;
+        /**
+         * Async settings of a rule: config.async < registerRule() options < config.asyncRules[name]
+         */
+        _getAsyncSettings(rule) {
+            const perRule = (this.config.asyncRules || {})[rule.name] || {};
+            return { ...this.config.async, ...rule.asyncOptions, ...perRule };
+        }
+
+        /**
+         * Drops pending debounces and aborts in-flight requests of a field
+         */
+        _cancelAsync(el) {
+            el._krisAsyncToken = (el._krisAsyncToken || 0) + 1;
+            const cancels = el._krisAsyncCancels || [];
+            el._krisAsyncCancels = [];
+            cancels.forEach(cancel => cancel());
+            el.classList.remove('is-loading');
+            delete el._krisAsyncPending;
+        }
+
+        /**
+         * "Couldn't verify" state: the check itself failed. Shown, but not marked invalid.
+         */
+        _setUnverified(el) {
+            this._getGroupMembers(el).forEach(m => {
+                m.classList.remove(...this.config.classes.invalid);
+                m.classList.add(...this.config.classes.unverified);
+            });
+            this._setValidity(el, '');
+            delete el._krisError;
+            el._krisUnverified = true;
+
+            const i18n = global.KrisFormTranslateMessages || {};
+            const feedback = this._getFeedback(el);
+            Utils.setText(feedback, i18n.unverified || this.config.i18n.unverified);
+            feedback.style.display = 'block';
         }
 
-        validateAll() {
+        /**
+         * Synchronous pass over every field. Fields with pending async rules count as invalid;
+         * use validate() to wait for them.
+         * @param {{immediate?: boolean}} [options] See validateField()
+         * @returns {boolean}
+         */
+        validateAll(options = {}) {
             let valid = true;
-            const inputs = this.el.querySelectorAll(`[${CONSTANTS.ATTR.VALIDATOR}]`);
-            // Convert to array to avoid live NodeList issues
-            const inputsArr = Array.from(inputs);
-            
-            for (const el of inputsArr) {
-                if (!this.validateField(el)) valid = false;
+            for (const el of this._getValidatedFields()) {
+                if (!this.validateField(el, options)) valid = false;
             }
             return valid;
         }
 
-        setError(el, rule, param, customMsg = null) {
-            el.classList.add(...this.config.classes.invalid);
+        /**
+         * Validates every field and waits for all async rules to settle (without their debounce)
+         * @returns {Promise<{valid: boolean, errors: Array<{field, element, rule, message, failures}>, unverified: Array<{field, element}>, warnings: Array<{field, element, warnings}>}>}
+         */
+        validate() {
+            this.validateAll({ immediate: true });
+            return this._settleAsync().then(() => this._getValidationResult());
+        }
+
+        /**
+         * Machine-readable description of the form: every validated field with its type, rules (native
+         * constraints included), messages (data-msg-*), warnings, locale and the attributes rules read,
+         * plus the dependency rules (declarative ones included; they must be JSON-serialisable, function
+         * values are lost). "fields" is a validateObject schema; KrisFormValidator.toJSONSchema() converts it.
+         * @returns {{version: number, fields: Object, dependencies: Object[]}}
+         */
+        exportSchema() {
+            const A = CONSTANTS.ATTR;
+            const fields = {};
+            this._getValidatedFields().forEach(el => {
+                const name = el.getAttribute('name') || el.getAttribute(A.FIELD) || el.id;
+                if (!name) return;
+
+                // Exported as written (broken rules included); they are reported when the field is validated
+                let rules = el.getAttribute(A.VALIDATOR) || '';
+                const parsed = this.validator.parseRules(rules, []);
+                const nativeRules = this._getNativeRules(el, parsed);
+                if (nativeRules.length) rules = nativeRules.concat(rules || []).join(',');
+
+                const field = { type: el.type, rules };
+                if (el.type === 'checkbox' && this._getGroupMembers(el).length > 1) field.multiple = true;
+                const messages = {};
+                Array.from(el.attributes).filter(attr => attr.name.startsWith('data-msg-'))
+                    .forEach(attr => { messages[attr.name.slice('data-msg-'.length)] = attr.value; });
+                if (Object.keys(messages).length) field.messages = messages;
+                if (el.hasAttribute(A.WARN)) field.warn = el.getAttribute(A.WARN);
+                const locale = this.validator.getLocale(el);
+                if (locale) field.locale = locale;
+                // Attributes the field's rules read (see the "attributes" rule option)
+                const attributes = {};
+                this.validator.parseRules(nativeRules.join(',')).concat(parsed)
+                    .forEach(({ name: rule }) => this.validator.getRule(rule).attributes
+                        .filter(attr => el.hasAttribute(attr))
+                        .forEach(attr => { attributes[attr] = el.getAttribute(attr); }));
+                if (Object.keys(attributes).length) field.attributes = attributes;
+                fields[name] = field;
+            });
+
+            return { version: 1, fields, dependencies: this._getRules().map(dep => ({ ...dep })) };
+        }
+
+        _getValidatedFields() {
+            // Convert to array to avoid live NodeList issues. Checkbox groups are validated once, via their lead.
+            return Array.from(this.el.querySelectorAll(`[${CONSTANTS.ATTR.VALIDATOR}], [${CONSTANTS.ATTR.WARN}]`))
+                .filter(el => this._getGroupLead(el) === el);
+        }
+
+        _isValidated(el) {
+            return this._hasRules(this._getGroupLead(el));
+        }
+
+        _hasRules(el) {
+            return el.hasAttribute(CONSTANTS.ATTR.VALIDATOR) || el.hasAttribute(CONSTANTS.ATTR.WARN);
+        }
+
+        /**
+         * Checkboxes sharing a name validate as one field. The first member with rules is the
+         * group's lead: it holds the rules, the validation state and the single feedback element.
+         */
+        _getGroupLead(el) {
+            const members = this._getGroupMembers(el);
+            if (members.length < 2) return el;
+            return members.find(m => this._hasRules(m)) || el;
+        }
+
+        _getGroupMembers(el) {
+            if (el.type !== 'checkbox' || !el.name) return [el];
+            return Array.from(this.el.querySelectorAll(`input[type="checkbox"][name="${CSS.escape(el.name)}"]`));
+        }
+
+        /**
+         * Resolves once no field has pending async rules (checks started meanwhile are awaited too)
+         */
+        _settleAsync() {
+            const pending = this._getValidatedFields().filter(el => el._krisAsyncPending).map(el => el._krisAsyncPromise);
+            if (!pending.length) return Promise.resolve();
+            return Promise.all(pending).then(() => this._settleAsync());
+        }
+
+        _getValidationResult() {
+            const errors = [];
+            const unverified = [];
+            const warnings = [];
+            this._getValidatedFields().forEach(el => {
+                if (el._krisWarning) warnings.push({ field: el.name, element: el, warnings: el._krisWarning });
+                if (el._krisError) {
+                    const { rule, message, failures } = el._krisError;
+                    errors.push({ field: el.name, element: el, rule, message, failures });
+                } else if (el._krisUnverified) {
+                    unverified.push({ field: el.name, element: el });
+                }
+            });
+            return { valid: errors.length === 0, errors, unverified, warnings };
+        }
+
+        /**
+         * Shows a field error. Several failures (validate-all mode) are rendered as a list.
+         * @param {HTMLElement} el
+         * @param {string} rule
+         * @param {string|null} param
+         * @param {string|null} [customMsg]
+         * @param {Array<{rule, param}>|null} [failures]
+         */
+        setError(el, rule, param, customMsg = null, failures = null) {
+            this._getGroupMembers(el).forEach(m => {
+                m.classList.remove(...this.config.classes.unverified);
+                m.classList.add(...this.config.classes.invalid);
+            });
             
-            let feedback = this._findFeedback(el);
+            const msg = customMsg || this._getErrorMessage(el, rule, param);
+            this._setValidity(el, msg);
+            const list = (failures && failures.length > 1)
+                ? failures.map(f => ({ rule: f.rule, param: f.param, message: this._getErrorMessage(el, f.rule, f.param) }))
+                : [{ rule, param, message: msg }];
+            this._renderFeedback(this._getFeedback(el), list);
+
+            delete el._krisUnverified;
+            el._krisError = { rule, param, message: msg, failures: list };
+        }
+
+        /**
+         * Shows advisory warnings in their own feedback element (selectors.warningFeedback)
+         * @param {HTMLElement} el
+         * @param {Array<{rule, param}>} failures
+         */
+        setWarning(el, failures) {
+            this._getGroupMembers(el).forEach(m => m.classList.add(...this.config.classes.warning));
+            const list = failures.map(f => ({ rule: f.rule, param: f.param, message: this._getWarningMessage(el, f.rule, f.param) }));
+            this._renderFeedback(this._getFeedback(el, this.config.selectors.warningFeedback), list);
+            el._krisWarning = list;
+
+            el.dispatchEvent(new CustomEvent(CONSTANTS.EVENT_NAMESPACE + ':warning', {
+                bubbles: true,
+                detail: { submit: false, field: el.name, warnings: list }
+            }));
+        }
+
+        clearWarning(el) {
+            if (!el._krisWarning) return;
+            this._getGroupMembers(el).forEach(m => m.classList.remove(...this.config.classes.warning));
+            const feedback = this._findFeedback(el, this.config.selectors.warningFeedback);
+            if (feedback) feedback.style.display = 'none';
+            delete el._krisWarning;
+        }
+
+        /**
+         * Renders one message as text, several as a list
+         */
+        _renderFeedback(feedback, list) {
+            // SECURITY: Use textContent
+            if (list.length > 1) {
+                Utils.setText(feedback, '');
+                const ul = document.createElement('ul');
+                list.forEach(item => {
+                    const li = document.createElement('li');
+                    Utils.setText(li, item.message);
+                    ul.appendChild(li);
+                });
+                feedback.appendChild(ul);
+            } else {
+                Utils.setText(feedback, list[0].message);
+            }
+            feedback.style.display = 'block';
+        }
+
+        /**
+         * Warning messages: data-warn-msg-RULE, then KrisFormTranslateMessages["warn_RULE"], then the error message
+         */
+        _getWarningMessage(el, rule, param) {
+            const i18n = global.KrisFormTranslateMessages || {};
+            const attrMsg = el.getAttribute(`data-warn-msg-${rule}`);
+            if (attrMsg) return attrMsg;
+            if (i18n[`warn_${rule}`]) return i18n[`warn_${rule}`].replace('%s', param || '');
+            return this._getErrorMessage(el, rule, param);
+        }
+
+        _getErrorMessage(el, rule, param) {
+            const i18n = global.KrisFormTranslateMessages || {};
+            // Look for data-msg-rule attribute first
+            const attrMsg = el.getAttribute(`data-msg-${rule}`);
+            if (attrMsg) return attrMsg;
+
+            if (i18n[rule]) return i18n[rule].replace('%s', param || '');
+            if (this.validator.getMessage(rule, param)) return this.validator.getMessage(rule, param);
+            if (i18n.default) return i18n.default.replace('%s', rule);
+            return `${this.config.i18n.defaultError}: ${rule}`;
+        }
+
+        /**
+         * Feedback element of a field, created if missing
+         */
+        _getFeedback(el, selector = this.config.selectors.feedback) {
+            let feedback = this._findFeedback(el, selector);
             if (!feedback) {
-                // Create feedback element if missing
                 feedback = document.createElement('div');
-                feedback.className = this.config.selectors.feedback.replace('.', '');
-                const container = el.closest('.input-group') || el.parentElement;
+                feedback.className = selector.replace('.', '');
+                const members = this._getGroupMembers(el);
+                const last = members[members.length - 1];
+                const container = members.length > 1
+                    ? (Utils.findFieldContainer(el, this.config) || last.parentElement)
+                    : (el.closest('.input-group') || el.parentElement);
                 container.appendChild(feedback);
             }
-            
-            let msg = customMsg;
-            
-            if (!msg) {
-                const i18n = global.KrisFormTranslateMessages || {};
-                // Look for data-msg-rule attribute first
-                msg = el.getAttribute(`data-msg-${rule}`);
-                
-                if (!msg) {
-                    if (i18n[rule]) {
-                        msg = i18n[rule].replace('%s', param || '');
-                    } else if (i18n.default) {
-                        msg = i18n.default.replace('%s', rule);
-                    } else {
-                        msg = `${this.config.i18n.defaultError}: ${rule}`;
-                    }
-                }
-            }
-            
-            // SECURITY: Use textContent
-            Utils.setText(feedback, msg);
-            feedback.style.display = 'block';
+            return feedback;
         }
 
         clearError(el) {
-            el.classList.remove(...this.config.classes.invalid);
+            this._getGroupMembers(el).forEach(m => m.classList.remove(...this.config.classes.invalid, ...this.config.classes.unverified));
+            this._setValidity(el, '');
+            delete el._krisError;
+            delete el._krisUnverified;
             const feedback = this._findFeedback(el);
             if (feedback) feedback.style.display = 'none';
         }
 
+        /**
+         * Mirrors the KrisForm state in the Constraint Validation API (:invalid, checkValidity(), tooltips)
+         */
+        _setValidity(el, message) {
+            this._getGroupMembers(el).forEach(m => {
+                if (typeof m.setCustomValidity === 'function') m.setCustomValidity(message);
+            });
+        }
+
         scrollToError() {
             const firstError = this.el.querySelector(`.${this.config.classes.invalid[0]}`);
             if (firstError) {
@@ -1015,18 +3591,29 @@
             }
         }
 
-        _findFeedback(el) {
+        _findFeedback(el, selector = this.config.selectors.feedback) {
+            // Groups: search from the last member, then the field container around them
+            const members = this._getGroupMembers(el);
+            const isGroup = members.length > 1;
+            if (isGroup) el = members[members.length - 1];
+
             // Strategy 1: Next sibling
             let sib = el.nextElementSibling;
-            const cls = this.config.selectors.feedback.replace('.', '');
+            const cls = selector.replace('.', '');
             while(sib) {
                 if(sib.classList.contains(cls)) return sib;
                 sib = sib.nextElementSibling;
             }
+            const container = isGroup && Utils.findFieldContainer(el, this.config);
+            if (container && container.querySelector(selector)) return container.querySelector(selector);
             // Strategy 2: Parent search
-            return el.parentElement.querySelector(this.config.selectors.feedback);
+            return el.parentElement.querySelector(selector);
         }
 
+        /**
+         * Value rules receive. Checkbox groups and <select multiple> keep their single-element value;
+         * the group rules (required, min_checked, max_checked) read the whole selection from the element.
+         */
         _getElValue(el) {
             if (el.type === 'checkbox') return el.checked ? el.value : '';
             if (el.type === 'radio') return el.checked ? el.value : '';
@@ -1040,15 +3627,14 @@
             const deps = this.dependencyMap.get(sourceName);
             if (!deps) return;
 
-            const val = this.getFieldValue(sourceName);
-            const stateProvider = (attr) => this.getFieldState(sourceName, attr);
-            const fieldProvider = (name) => this.getFieldValue(name);
+            const scopeFor = this._createScopeResolver(sourceName);
+            const val = scopeFor(null).value;
 
             let confirmMsg = null;
             
             // Check if any satisfied dependency requires confirmation
             for (const dep of deps) {
-                if (dep.confirm && Evaluator.evaluate(dep.condition, val, stateProvider, fieldProvider)) {
+                if (dep.confirm && scopeFor(dep).isMet(dep)) {
                     confirmMsg = dep.confirm;
                     break;
                 }
@@ -1096,32 +3682,44 @@
 
             } else {
                 this.state.lastCommittedValues.set(sourceName, val);
-                this._processDependenciesForField(sourceName, true);
+                // Reuse the conditions already evaluated for the confirmation check
+                this._processDependenciesForField(sourceName, true, false, scopeFor);
             }
         }
 
-        _processDependenciesForField(sourceName, isChange, isInit = false) {
+        _processDependenciesForField(sourceName, isChange, isInit = false, scopeFor = null) {
+            this._runCascade(() => this._runDependencyRules(sourceName, isChange, isInit, scopeFor), isInit);
+        }
+
+        /**
+         * Applies the rules triggered by one field (or group key).
+         * @param {boolean} [skipConfirm] Skip rules with a `confirm`: cascaded changes never run them
+         */
+        _runDependencyRules(sourceName, isChange, isInit = false, scopeFor = null, skipConfirm = false) {
             const deps = this.dependencyMap.get(sourceName);
             if (!deps) return;
+            if (this._cascade) this._cascade.done.add(sourceName);
 
-            const val = this.getFieldValue(sourceName);
-            const stateProvider = (attr) => this.getFieldState(sourceName, attr);
-            const fieldProvider = (name) => this.getFieldValue(name);
+            scopeFor = scopeFor || this._createScopeResolver(sourceName);
 
             // Block instant updates if any dependency requires confirmation for this state
             if (!isChange) {
                 for (const dep of deps) {
-                    if (dep.confirm && Evaluator.evaluate(dep.condition, val, stateProvider, fieldProvider)) {
+                    if (dep.confirm && scopeFor(dep).isMet(dep)) {
                         return; 
                     }
                 }
             }
 
             deps.forEach(dep => {
-                // Skip confirm actions during input phase (wait for change)
-                if (!isChange && dep.confirm) return;
-
-                const isMet = Evaluator.evaluate(dep.condition, val, stateProvider, fieldProvider);
+                // Skip confirm actions during input phase (wait for change) and in cascades
+                if ((!isChange || skipConfirm) && dep.confirm) return;
+
+                const scope = scopeFor(dep);
+                const isMet = scope.isMet(dep);
+                const val = scope.value;
+                const exprVal = scope.expressionValue;
+                const layout = scope.valueLayout;
                 
                 if (dep.target) {
                     const targets = dep.target.split(",").map(s => s.trim()).filter(Boolean);
@@ -1135,10 +3733,10 @@
 
                             if (delay > 0) {
                                 setTimeout(() => {
-                                    this._applyAction(el, container, actionName, val, isInit);
+                                    this._applyAction(el, container, actionName, val, isInit, exprVal, layout);
                                 }, delay);
                             } else {
-                                this._applyAction(el, container, actionName, val, isInit);
+                                this._applyAction(el, container, actionName, val, isInit, exprVal, layout);
                             }
                             
                             if (dep.message) {
@@ -1150,6 +3748,9 @@
                                 this._loadDependencyData(dep['data-url'], el, val, isInit);
                             }
                         });
+
+                        // Rules reading the target run later in the same cascade
+                        if (this._cascade) this._getTriggerKeys(targetName).forEach(key => this._cascade.pending.add(key));
                     });
                 }
             });
@@ -1277,14 +3878,18 @@
         }
 
         updateAllDependencies(isInit = false) {
-            for (const [sourceName] of this.dependencyMap.entries()) {
-                this._processDependenciesForField(sourceName, true, isInit);
-            }
+            // One cascade over every trigger, in topological order
+            this._runCascade(() => {
+                for (const [sourceName] of this.dependencyMap.entries()) this._cascade.pending.add(sourceName);
+            }, isInit);
         }
 
-        _applyAction(el, container, actionStr, sourceValue, isInit = false) {
+        _applyAction(el, container, actionStr, sourceValue, isInit = false, expressionValue = sourceValue, valueLayout = null) {
             if (!actionStr) return;
-            const [action, param] = actionStr.split(":");
+            // Split on the first colon only: expressions may contain "a ? b : c"
+            const sepIdx = actionStr.indexOf(":");
+            const action = sepIdx === -1 ? actionStr : actionStr.slice(0, sepIdx);
+            const param = sepIdx === -1 ? undefined : actionStr.slice(sepIdx + 1);
             const isHidden = !Utils.isVisible(el);
             
             const actions = {
@@ -1307,12 +3912,20 @@
                 // Syntax: set_computed_value:max(fields.a + fields.b)
                 set_computed_value: () => {
                     if (isHidden) return;
-                    // Prepare context for Evaluator
-                    const stateProvider = (attr) => this.getFieldState(sourceValue, attr); // Source context (less relevant here)
-                    const fieldProvider = (name) => this.getFieldValue(name);
-                    const context = { value: sourceValue }; // current source value
-                    
-                    const result = Evaluator._evaluateRecursive(param, context, fieldProvider);
+                    const fieldProvider = this._createFieldProvider();
+                    // Current source value (localized numbers normalized) and its date layout
+                    const context = { value: expressionValue, [Evaluator.VALUE_LAYOUT]: valueLayout };
+                    let result;
+                    try {
+                        // Cached; syntax errors were reported at init
+                        result = Evaluator.compile(param, this.functions).evaluate(context, fieldProvider, this.functions);
+                    } catch (e) {
+                        return;
+                    }
+                    // Dates are written back in the target's own layout
+                    if (result instanceof Date) result = Utils.formatDate(result, this._getDateLayout(el) || undefined);
+                    // Numbers are written back in the target's locale (native number inputs stay canonical)
+                    else if (el.type !== 'number') result = Utils.formatNumber(result, this.validator.getLocale(el));
                     Utils.setElementValue(el, result);
                 }
             };
@@ -1326,7 +3939,7 @@
                 }
                 // Re-validate if state changed (e.g. became required or visible)
                 // Skip validation during initialization to avoid red fields on page load
-                if (!isInit && el.hasAttribute(CONSTANTS.ATTR.VALIDATOR)) this.validateField(el);
+                if (!isInit && this._isValidated(el)) this.validateField(el);
             }
         }
 
@@ -1432,6 +4045,7 @@
                 required: "optional", optional: "required",
                 readonly: "editable", editable: "readonly"
             };
+            if (!action) return null; // data-url rules may have no action
             return map[action.split(':')[0]] || null;
         }
 
@@ -1440,6 +4054,115 @@
             return Utils.getFieldValue(els);
         }
 
+        /**
+         * Field value as read by expressions: localized numbers of numeric fields in canonical form
+         * ("1.234,5" -> "1234.5"). Other fields (text, dates) are read as typed.
+         */
+        _getExpressionValue(name) {
+            const els = Utils.findFieldElements(this.el, name);
+            return this._readExpressionValue(els);
+        }
+
+        _readExpressionValue(els) {
+            const value = Utils.getFieldValue(els);
+            if (!els.length || !this._isNumericField(els[0])) return value;
+            return Utils.normalizeNumber(value, this.validator.getLocale(els[0]));
+        }
+
+        /**
+         * Numeric fields (see Validator#isNumericField) and computed targets, which hold numbers
+         * written back in their locale. Date fields are never numeric.
+         */
+        _isNumericField(el) {
+            if (this.validator.isNumericField(el)) return true;
+            if (this._getDateLayout(el)) return false;
+            const isComputed = (action) => typeof action === 'string' && action.startsWith('set_computed_value:');
+            return this._getRules().some(dep => (isComputed(dep.action) || isComputed(dep.inverse_action))
+                && this._getRuleTargets(dep).includes(el.name));
+        }
+
+        /**
+         * Field accessor for the Evaluator. Exposes date layouts to date functions.
+         */
+        _createFieldProvider() {
+            const fieldProvider = (name) => this._getExpressionValue(name);
+            fieldProvider.layout = (name) => {
+                const els = Utils.findFieldElements(this.el, name);
+                return els.length ? this._getDateLayout(els[0]) : null;
+            };
+            fieldProvider.collect = (name, path) => this._collectFieldValues(name, path);
+            return fieldProvider;
+        }
+
+        /**
+         * Values of a repeated field group, in DOM order, read like _getExpressionValue().
+         * items[0][price], items[1][price] -> [{price}, {price}]; line_total[] or repeated names -> [value, value]
+         * @param {string} name Base name ("items")
+         * @param {string[]} [path] Property path inside each item (["price"])
+         * @returns {Array}
+         */
+        _collectFieldValues(name, path = []) {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const re = new RegExp(`^${escaped}(?:\\[(\\d*)\\]((?:\\[[^\\]]*\\])*))?$`);
+            const UNSAFE = ['__proto__', 'constructor', 'prototype'];
+            const read = (els) => this._readExpressionValue(els);
+
+            // Group elements by full name (radio groups share one)
+            const groups = new Map();
+            this.el.querySelectorAll('[name]').forEach(el => {
+                if (!re.test(el.name)) return;
+                if (!groups.has(el.name)) groups.set(el.name, []);
+                groups.get(el.name).push(el);
+            });
+
+            const items = [];
+            const byIndex = new Map();
+            for (const [fullName, els] of groups) {
+                const match = re.exec(fullName);
+                const index = match[1];
+                const keys = (match[2] || '').slice(1, -1).split('][').filter(Boolean);
+
+                // Unindexed names (line_total[], line_total): one item per element
+                if (!index) {
+                    const isRadioGroup = els.every(el => el.type === 'radio');
+                    if (isRadioGroup) items.push(read(els));
+                    else els.forEach(el => items.push(read([el])));
+                    continue;
+                }
+
+                const value = read(els);
+                if (!keys.length) {
+                    byIndex.set(index, items.length);
+                    items.push(value);
+                    continue;
+                }
+                if (keys.some(k => UNSAFE.includes(k))) continue;
+                if (!byIndex.has(index)) {
+                    byIndex.set(index, items.length);
+                    items.push({});
+                }
+                let target = items[byIndex.get(index)];
+                if (target === null || typeof target !== 'object') continue;
+                keys.slice(0, -1).forEach(k => {
+                    if (!target[k] || typeof target[k] !== 'object') target[k] = {};
+                    target = target[k];
+                });
+                target[keys[keys.length - 1]] = value;
+            }
+
+            return items.map(item => path.reduce((v, key) => {
+                if (v === null || v === undefined || UNSAFE.includes(key)) return null;
+                return v[key] === undefined ? null : v[key];
+            }, item));
+        }
+
+        /**
+         * Go-style date layout of a field: native date inputs or data-validator="datetime:LAYOUT"
+         */
+        _getDateLayout(el) {
+            return this.validator.getDateLayout(el);
+        }
+
         getFieldState(name, attr) {
             const els = Utils.findFieldElements(this.el, name);
             if (!els.length) return null;
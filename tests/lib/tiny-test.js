@@ -87,9 +87,12 @@
 
     // --- API ---
 
+    // Tests run one after another: async tests share the DOM and the spec's fixtures
+    let queue = Promise.resolve();
+
     global.describe = (name, fn) => {
         currentSuite = name;
-        results.push({ type: 'suite', name });
+        queue = queue.then(() => { results.push({ type: 'suite', name }); });
         console.group(`%c${name}`, outputStyles.suite);
         try {
             fn();
@@ -99,16 +102,20 @@
         console.groupEnd();
     };
 
-    global.it = async (name, fn) => {
-        try {
-            await fn();
-            results.push({ type: 'test', passed: true, name, suite: currentSuite });
-            console.log(`%c✓ ${name}`, outputStyles.pass);
-        } catch (e) {
-            results.push({ type: 'test', passed: false, name, suite: currentSuite, error: e.message });
-            console.error(`%c✕ ${name}`, outputStyles.fail, e.message);
-        }
-        renderUI();
+    global.it = (name, fn) => {
+        const suite = currentSuite;
+        queue = queue.then(async () => {
+            try {
+                await fn();
+                results.push({ type: 'test', passed: true, name, suite });
+                console.log(`%c✓ ${name}`, outputStyles.pass);
+            } catch (e) {
+                results.push({ type: 'test', passed: false, name, suite, error: e.message });
+                console.error(`%c✕ ${name}`, outputStyles.fail, e.message);
+            }
+            renderUI();
+        });
+        return queue;
     };
 
     global.expect = (value) => new Expectation(value);
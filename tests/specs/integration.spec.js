@@ -30,13 +30,6 @@ describe('KrisForm Integration', () => {
                 </div>
             </form>
         `, { validationMode: 'immediate' }); // Explicitly set immediate mode
-            <form>
-                <div class="input-group">
-                    <input name="username" data-validator="required">
-                    <div class="invalid-feedback"></div>
-                </div>
-            </form>
-        `);
 
         const input = form.querySelector('[name="username"]');
         const feedback = form.querySelector('.invalid-feedback');
@@ -257,9 +250,7 @@ describe('KrisForm Integration', () => {
                     <input name="target">
                 </form>
             `;
-            createForm(html);
-            const kris = new KrisForm(form, {
-                updateDelay: 0,
+            const kris = createForm(html, {
                 dependencies: [{
                     source: 'trigger',
                     condition: "value.length > 0",
@@ -357,6 +348,758 @@ describe('KrisForm Integration', () => {
         expect(input.classList.contains('is-invalid')).toBe(false);
     });
 
+    it('should use per-instance functions in computed values', () => {
+        const html = `
+            <form>
+                <input name="amount" value="200">
+                <input name="shipping">
+            </form>
+        `;
+        const kris = createForm(html, {
+            functions: {
+                shippingTier: (amount) => amount >= 100 ? 0 : 15
+            },
+            dependencies: [{
+                source: 'amount',
+                condition: 'true',
+                action: 'set_computed_value:shippingTier(number(value))',
+                target: 'shipping'
+            }]
+        });
+
+        expect(form.querySelector('[name="shipping"]').value).toBe('0');
+    });
+
+    it('should recompile rules when a function is registered after init', () => {
+        const kris = createForm(`
+            <form>
+                <input name="code" value="VIP">
+                <input name="discount">
+            </form>
+        `, {
+            dependencies: [{ source: 'code', condition: 'true', action: 'set_computed_value:discount(value)', target: 'discount' }]
+        });
+        expect(kris.validateConfig().errors.map(e => e.code)).toContain('unknown_function');
+
+        kris.registerFunction('discount', (code) => code === 'VIP' ? 10 : 0);
+        expect(kris.validateConfig().valid).toBe(true);
+
+        const code = form.querySelector('[name="code"]');
+        code.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(form.querySelector('[name="discount"]').value).toBe('10');
+    });
+
+    it('should compute dates using the field layouts', () => {
+        const html = `
+            <form>
+                <input name="start" value="28.02.2024" data-validator="datetime:02.01.2006">
+                <input name="end" type="date">
+            </form>
+        `;
+        const kris = createForm(html, {
+            dependencies: [{
+                source: 'start',
+                condition: 'true',
+                action: 'set_computed_value:addDays(date(fields.start), 2)',
+                target: 'end'
+            }]
+        });
+
+        expect(form.querySelector('[name="end"]').value).toBe('2024-03-01');
+    });
+
+    it('should parse the source value with its date layout', () => {
+        const html = `
+            <form>
+                <input name="birth" value="15.03.2000" data-validator="datetime:02.01.2006">
+                <input name="minor">
+            </form>
+        `;
+        createForm(html, {
+            dependencies: [{ source: 'birth', condition: 'age(value) < 18', action: 'show', target: 'minor' }]
+        });
+        expect(form.querySelector('[name="minor"]').style.display).toBe('none');
+
+        const birth = form.querySelector('[name="birth"]');
+        birth.value = 'not a date'; // age() is null, so the comparison is false
+        birth.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(form.querySelector('[name="minor"]').style.display).toBe('none');
+    });
+
+    it('should recompute aggregates when any repeated field changes', () => {
+        const html = `
+            <form>
+                <input name="items[0][price]" value="10"><input name="items[0][qty]" value="2">
+                <input name="items[1][price]" value="5"><input name="items[1][qty]" value="1">
+                <input name="total">
+            </form>
+        `;
+        const kris = createForm(html, {
+            dependencies: [{
+                source: 'items[]',
+                condition: 'true',
+                action: 'set_computed_value:sum(fields.items[], x => x.price * x.qty)',
+                target: 'total'
+            }]
+        });
+
+        const total = form.querySelector('[name="total"]');
+        expect(total.value).toBe('25');
+
+        const qty = form.querySelector('[name="items[1][qty]"]');
+        qty.value = '3';
+        qty.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(total.value).toBe('35');
+    });
+
+    it('should report invalid dependency rules via validateConfig()', () => {
+        // Reported while the form initializes, so listen above it
+        let eventDetail = null;
+        const onError = (e) => { eventDetail = e.detail; };
+        document.addEventListener('krisform:config-error', onError);
+
+        const kris = createForm(`
+            <form>
+                <input name="qty">
+                <input name="total">
+            </form>
+        `, {
+            dependencies: [
+                { source: 'qty', condition: 'value > 1', action: 'shw', target: 'total' },
+                { source: 'qtty', condition: 'value >', action: 'set_value', target: 'totl' },
+                { source: 'qty', condition: 'fields.price > 0', action: 'set_computed_value:zoneRate(value)', target: 'total' }
+            ]
+        });
+
+        document.removeEventListener('krisform:config-error', onError);
+
+        const codes = kris.validateConfig().errors.map(e => e.code);
+        expect(eventDetail.valid).toBe(false);
+        expect(codes).toContain('unknown_action');
+        expect(codes).toContain('syntax_error');
+        expect(codes).toContain('invalid_param');
+        expect(codes).toContain('unknown_field');
+        expect(codes).toContain('unknown_function');
+        expect(codes.filter(c => c === 'unknown_field').length).toBe(3); // qtty, totl, fields.price
+    });
+
+    it('should throw on invalid rules in strictConfig mode', () => {
+        let error = null;
+        try {
+            createForm(`<form><input name="a"></form>`, { strictConfig: true, dependencies: [{ source: 'a', condition: 'true', action: 'explode', target: 'a' }] });
+        } catch (e) {
+            error = e;
+        }
+        expect(!!error).toBe(true);
+        expect(error.message).toContain('unknown action "explode"');
+    });
+
+    it('should cascade computed fields once in topological order', () => {
+        let runs = 0;
+        const kris = createForm(`
+            <form>
+                <input name="price" value="10">
+                <input name="qty" value="2">
+                <input name="subtotal">
+                <input name="total">
+            </form>
+        `, {
+            functions: { withTax: (x) => { runs++; return x * 1.5; } },
+            dependencies: [
+                // Declared downstream-first on purpose
+                { source: 'subtotal', condition: 'true', action: 'set_computed_value:withTax(number(value))', target: 'total' },
+                { source: 'price,qty', condition: 'true', action: 'set_computed_value:fields.price * fields.qty', target: 'subtotal' }
+            ]
+        });
+
+        const graph = kris.getDependencyGraph();
+        expect(graph.order.indexOf('price') < graph.order.indexOf('subtotal')).toBe(true);
+        expect(graph.order.indexOf('subtotal') < graph.order.indexOf('total')).toBe(true);
+        expect(form.querySelector('[name="total"]').value).toBe('30');
+
+        runs = 0;
+        const qty = form.querySelector('[name="qty"]');
+        qty.value = '4';
+        qty.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(form.querySelector('[name="total"]').value).toBe('60');
+        expect(runs).toBe(1);
+    });
+
+    it('should not run confirm rules in cascades', () => {
+        createForm(`
+            <form>
+                <input name="qty" value="2">
+                <input name="subtotal">
+                <input name="note">
+            </form>
+        `, {
+            dependencies: [
+                { source: 'qty', condition: 'true', action: 'set_computed_value:value * 10', target: 'subtotal' },
+                { source: 'subtotal', condition: 'value > 100', action: 'hide', target: 'note', confirm: 'Hide the note?' }
+            ]
+        });
+        const confirms = [];
+        form.addEventListener('krisform:confirm', (e) => { e.preventDefault(); confirms.push(e.detail); });
+        const note = form.querySelector('[name="note"]');
+
+        const qty = form.querySelector('[name="qty"]');
+        qty.value = '20';
+        qty.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(form.querySelector('[name="subtotal"]').value).toBe('200');
+        expect(confirms.length).toBe(0);
+        expect(note.style.display).toBe('');
+
+        // A direct change of the source asks first
+        const subtotal = form.querySelector('[name="subtotal"]');
+        subtotal.value = '300';
+        subtotal.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(confirms.length).toBe(1);
+        confirms[0].onConfirm();
+        expect(note.style.display).toBe('none');
+    });
+
+    it('should detect dependency cycles and not loop', () => {
+        let reported = null;
+        const onError = (e) => { reported = e.detail; };
+        document.addEventListener('krisform:config-error', onError);
+
+        const kris = createForm(`
+            <form>
+                <input name="a" value="1">
+                <input name="b" value="1">
+            </form>
+        `, {
+            dependencies: [
+                { source: 'a', condition: 'true', action: 'set_value:2', target: 'b' },
+                { source: 'b', condition: 'true', action: 'set_value:3', target: 'a' }
+            ]
+        });
+
+        document.removeEventListener('krisform:config-error', onError);
+
+        expect(kris.getDependencyGraph().cycles.length).toBe(1);
+        expect(reported.errors.map(e => e.code)).toContain('cycle');
+
+        const a = form.querySelector('[name="a"]');
+        a.value = '5';
+        a.dispatchEvent(new Event('change', { bubbles: true })); // Would recurse forever without cascades
+        expect(form.querySelector('[name="b"]').value).toBe('2');
+    });
+
+    it('should re-evaluate rules when any referenced field changes', () => {
+        createForm(`
+            <form>
+                <input name="qty" value="2">
+                <input name="price" value="10">
+                <input name="bulk">
+                <input name="note">
+            </form>
+        `, {
+            dependencies: [
+                { source: 'qty', condition: 'value * fields.price > 100', action: 'set_value:yes', inverse_action: 'set_value:no', target: 'bulk' },
+                { source: 'qty', condition: 'fields.price > 100', action: 'set_value:pricey', inverse_action: 'set_value:cheap', target: 'note', auto_subscribe: false }
+            ]
+        });
+
+        expect(form.querySelector('[name="bulk"]').value).toBe('no');
+
+        const price = form.querySelector('[name="price"]');
+        price.value = '200';
+        price.dispatchEvent(new Event('input', { bubbles: true }));
+
+        // "value" stays bound to qty (2 * 200), not to the changed price
+        expect(form.querySelector('[name="bulk"]').value).toBe('yes');
+        // Opted out: waits for qty
+        expect(form.querySelector('[name="note"]').value).toBe('cheap');
+
+        const qty = form.querySelector('[name="qty"]');
+        qty.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(form.querySelector('[name="note"]').value).toBe('pricey');
+    });
+
+    it('should build rules from declarative attributes', () => {
+        const kris = createForm(`
+            <form>
+                <select name="country">
+                    <option value="US">US</option>
+                    <option value="DE">DE</option>
+                </select>
+                <div data-field-container data-show-if="fields.country === 'US'">
+                    <input name="state">
+                </div>
+                <input name="vat_id" data-required-if="fields.country !== 'US'">
+                <input name="price" value="10">
+                <input name="qty" value="3">
+                <input name="total" data-compute="fields.price * fields.qty">
+                <input name="note">
+            </form>
+        `, {
+            dependencies: [
+                { source: 'total', condition: 'value > 50', action: 'set_value:large', inverse_action: 'set_value:small', target: 'note' }
+            ]
+        });
+
+        const state = form.querySelector('[name="state"]');
+        const vat = form.querySelector('[name="vat_id"]');
+        expect(kris.validateConfig().valid).toBe(true);
+        expect(state.closest('[data-field-container]').classList.contains('d-none')).toBe(false);
+        expect(vat.required).toBe(false);
+        expect(form.querySelector('[name="total"]').value).toBe('30');
+        expect(form.querySelector('[name="note"]').value).toBe('small');
+
+        const country = form.querySelector('[name="country"]');
+        country.value = 'DE';
+        country.dispatchEvent(new Event('change', { bubbles: true }));
+        expect(state.closest('[data-field-container]').classList.contains('d-none')).toBe(true);
+        expect(vat.required).toBe(true);
+
+        // Declarative and JS rules share one cascade
+        const qty = form.querySelector('[name="qty"]');
+        qty.value = '6';
+        qty.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(form.querySelector('[name="total"]').value).toBe('60');
+        expect(form.querySelector('[name="note"]').value).toBe('large');
+
+        // Re-initializing rebuilds the declarative rules instead of adding them again
+        expect(kris.exportSchema().dependencies.length).toBe(4);
+        kris.destroy();
+        kris.init();
+        expect(kris.dependencies.length).toBe(1);
+        expect(kris.exportSchema().dependencies.length).toBe(4);
+    });
+
+    it('should load options from data-load-url', async () => {
+        const originalFetch = window.fetch;
+        const urls = [];
+        window.fetch = (url) => {
+            urls.push(url);
+            return Promise.resolve({ ok: true, json: () => Promise.resolve(['Berlin', 'Munich']) });
+        };
+
+        try {
+            const kris = createForm(`
+                <form>
+                    <select name="country">
+                        <option value="">-</option>
+                        <option value="DE">DE</option>
+                    </select>
+                    <select name="city" data-source="country" data-load-url="cities?country={value}"></select>
+                </form>
+            `);
+
+            const rule = { source: 'country', condition: "value !== ''", target: 'city', 'data-url': 'cities?country={value}' };
+            expect(kris._getRules()).toEqual([rule]);
+            expect(kris.exportSchema().dependencies).toEqual([rule]);
+            expect(urls.length).toBe(0); // data-load-if defaults to a non-empty source
+
+            const country = form.querySelector('[name="country"]');
+            country.value = 'DE';
+            country.dispatchEvent(new Event('change', { bubbles: true }));
+            await wait(10);
+
+            const city = form.querySelector('[name="city"]');
+            expect(urls).toEqual(['cities?country=DE']);
+            expect([...city.options].map(o => o.value)).toEqual(['Berlin', 'Munich']);
+        } finally {
+            window.fetch = originalFetch;
+        }
+    });
+
+    it('should use registered rules and their messages', async () => {
+        const kris = createForm(`
+            <form>
+                <div class="input-group">
+                    <input name="code" data-validator="required,code_format,code_free">
+                    <div class="invalid-feedback"></div>
+                </div>
+            </form>
+        `);
+        kris.registerRule('code_format', (val) => /^[A-Z]{3}$/.test(val), { message: 'Use three capital letters' });
+        kris.registerRule('code_free', (val) => Promise.resolve(val === 'ABC' ? { valid: false, message: 'Code is taken' } : true), { async: true, debounce: 0 });
+
+        const input = form.querySelector('[name="code"]');
+        const feedback = form.querySelector('.invalid-feedback');
+
+        input.value = 'abc';
+        expect(kris.validateField(input)).toBe(false);
+        expect(feedback.textContent).toBe('Use three capital letters');
+
+        input.value = 'ABC';
+        expect(kris.validateField(input)).toBe(false); // Pending
+        await kris.validate();
+        expect(feedback.textContent).toBe('Code is taken');
+
+        input.value = 'XYZ';
+        await kris.validate();
+        expect(input.classList.contains('is-invalid')).toBe(false);
+    });
+
+    it('should abort stale async checks, cache results and mark timeouts unverified', async () => {
+        const kris = createForm(`
+            <form>
+                <div><input name="login" data-validator="login_free"><div class="invalid-feedback"></div></div>
+                <div><input name="promo" data-validator="promo_valid"><div class="invalid-feedback"></div></div>
+            </form>
+        `);
+
+        let calls = 0, aborted = 0, asyncError = null, requested;
+        const firstRequest = new Promise(resolve => { requested = resolve; });
+        kris.registerRule('login_free', (val, p, el, ctx) => new Promise((resolve, reject) => {
+            calls++;
+            requested();
+            ctx.signal.addEventListener('abort', () => { aborted++; reject(new Error('aborted')); });
+            if (val !== 'first') resolve(val !== 'taken'); // "first" stays in flight until aborted
+        }), { async: true, debounce: 0, message: 'Login is taken' });
+        kris.registerRule('promo_valid', () => new Promise(() => {}), { async: true, debounce: 0, timeout: 20 });
+        form.addEventListener('krisform:async-error', (e) => { asyncError = e.detail; });
+
+        const login = form.querySelector('[name="login"]');
+        login.value = 'first';
+        kris.validateField(login);
+        await firstRequest;
+        login.value = 'taken';
+        await kris.validate(); // Aborts the request for "first"
+        expect(aborted).toBe(1);
+        expect(login.classList.contains('is-invalid')).toBe(true);
+        expect(login.nextElementSibling.textContent).toBe('Login is taken');
+
+        await kris.validate();
+        expect(calls).toBe(2); // Served from cache
+
+        const promo = form.querySelector('[name="promo"]');
+        promo.value = 'SPRING';
+        const result = await kris.validate(); // Settles once the check times out
+        expect(result.unverified[0].field).toBe('promo');
+        expect(promo.classList.contains('is-unverified')).toBe(true);
+        expect(promo.classList.contains('is-invalid')).toBe(false);
+        expect(asyncError.rule).toBe('promo_valid');
+    });
+
+    it('should await async rules in validate() and resume submit', async () => {
+        const kris = createForm(`
+            <form>
+                <div><input name="nick" data-validator="required,nick_free"><div class="invalid-feedback"></div></div>
+                <button type="submit" name="action" value="save">Save</button>
+            </form>
+        `);
+        kris.registerRule('nick_free', (val) => Promise.resolve(val !== 'root'), { async: true, message: 'Nickname is taken' });
+
+        let submits = 0, submitted;
+        const resumed = new Promise(resolve => { submitted = resolve; });
+        form.addEventListener('submit', (e) => {
+            if (!e.defaultPrevented) {
+                submits++;
+                submitted(e.submitter);
+            }
+            e.preventDefault(); // No navigation in tests
+        });
+
+        const nick = form.querySelector('[name="nick"]');
+        nick.value = 'root';
+        const result = await kris.validate();
+        expect(result.valid).toBe(false);
+        expect(result.errors[0].field).toBe('nick');
+        expect(result.errors[0].message).toBe('Nickname is taken');
+
+        nick.value = 'neo';
+        form.requestSubmit(form.querySelector('button'));
+        expect(submits).toBe(0); // Held back while the check runs
+        const submitter = await Promise.race([resumed, wait(1000)]); // Guard: fails instead of hanging
+        expect(submits).toBe(1);
+        expect(submitter.value).toBe('save');
+        expect((await kris.validate()).valid).toBe(true);
+    });
+
+    it('should list every failing rule in validate-all mode', () => {
+        const kris = createForm(`
+            <form>
+                <div>
+                    <input name="password" data-validator="min:8,min_upper:1,min_digit:1" data-validate-all
+                           data-msg-min="At least 8 characters" data-msg-min_upper="One capital letter" data-msg-min_digit="One digit">
+                    <div class="invalid-feedback"></div>
+                </div>
+            </form>
+        `);
+
+        const input = form.querySelector('[name="password"]');
+        let detail = null;
+        form.addEventListener('krisform:validated', (e) => { detail = e.detail; });
+
+        input.value = 'abc';
+        expect(kris.validateField(input)).toBe(false);
+        const items = [...input.nextElementSibling.querySelectorAll('li')].map(li => li.textContent);
+        expect(items).toEqual(['At least 8 characters', 'One capital letter', 'One digit']);
+        expect(detail.failures.map(f => f.rule)).toEqual(['min', 'min_upper', 'min_digit']);
+
+        input.value = 'abcdefgH';
+        kris.validateField(input);
+        expect(input.nextElementSibling.textContent).toBe('One digit');
+    });
+
+    it('should keep validating fields with broken rule strings', () => {
+        const kris = createForm(`
+            <form>
+                <input name="email" data-validator="required,emial">
+                <input name="qty" type="number" max="10" data-validator="min:'3">
+            </form>
+        `);
+        const email = form.querySelector('[name="email"]');
+        const qty = form.querySelector('[name="qty"]');
+
+        // "required" still runs without the misspelled rule
+        expect(kris.validateField(email)).toBe(false);
+        email.value = 'a@b.co';
+        expect(kris.validateField(email)).toBe(true);
+
+        // The unterminated quote drops "min", the native max still applies
+        qty.value = '11';
+        expect(kris.validateField(qty)).toBe(false);
+        qty.value = '5';
+        expect(kris.validateField(qty)).toBe(true);
+    });
+
+    it('should show warnings without failing validation', () => {
+        const kris = createForm(`
+            <form>
+                <div>
+                    <input name="amount" data-validator="required,number" data-warn="lte:10000" data-warn-msg-lte="That is an unusually large amount">
+                    <div class="invalid-feedback"></div>
+                    <div class="warning-feedback"></div>
+                </div>
+                <button type="submit">Pay</button>
+            </form>
+        `);
+        const amount = form.querySelector('[name="amount"]');
+        const events = [];
+        let submits = 0, asked = null;
+        form.addEventListener('krisform:warning', (e) => {
+            events.push(e.detail);
+            if (e.detail.submit && !asked) {
+                asked = e.detail;
+                e.preventDefault(); // "Are you sure?"
+            }
+        });
+        form.addEventListener('submit', (e) => {
+            if (!e.defaultPrevented) submits++;
+            e.preventDefault();
+        });
+
+        amount.value = '25000';
+        expect(kris.validateAll()).toBe(true);
+        expect(amount.classList.contains('is-warning')).toBe(true);
+        expect(amount.classList.contains('is-invalid')).toBe(false);
+        expect(form.querySelector('.warning-feedback').textContent).toBe('That is an unusually large amount');
+        expect(events[0].field).toBe('amount');
+
+        form.requestSubmit();
+        expect(submits).toBe(0); // Held back by the warning listener
+        expect(asked.warnings[0].field).toBe('amount');
+        asked.proceed();
+        expect(submits).toBe(1);
+
+        amount.value = '500';
+        kris.validateField(amount);
+        expect(amount.classList.contains('is-warning')).toBe(false);
+        expect(form.querySelector('.warning-feedback').style.display).toBe('none');
+    });
+
+    it('should validate checkbox groups and multi-selects as one field', () => {
+        const kris = createForm(`
+            <form>
+                <div class="field-container">
+                    <label><input type="checkbox" name="tags[]" value="a" data-validator="min_checked:2,max_checked:3"></label>
+                    <label><input type="checkbox" name="tags[]" value="b"></label>
+                    <label><input type="checkbox" name="tags[]" value="c"></label>
+                    <label><input type="checkbox" name="tags[]" value="d"></label>
+                    <div class="invalid-feedback"></div>
+                </div>
+                <div>
+                    <select name="langs" multiple data-validator="required,oneof:en;ru">
+                        <option value="en">EN</option>
+                        <option value="ru">RU</option>
+                    </select>
+                    <div class="invalid-feedback"></div>
+                </div>
+            </form>
+        `);
+        const boxes = [...form.querySelectorAll('[name="tags[]"]')];
+        const select = form.querySelector('[name="langs"]');
+
+        // Rules live on the first checkbox, but any member validates the group
+        boxes[1].checked = true;
+        expect(kris.validateField(boxes[1])).toBe(false);
+        expect(boxes.every(b => b.classList.contains('is-invalid'))).toBe(true);
+        expect(form.querySelectorAll('.invalid-feedback').length).toBe(2);
+        expect(boxes[0].closest('.field-container').querySelector('.invalid-feedback').style.display).toBe('block');
+
+        boxes[2].checked = true;
+        expect(kris.validateField(boxes[2])).toBe(true);
+        expect(boxes.some(b => b.classList.contains('is-invalid'))).toBe(false);
+
+        boxes.forEach(b => { b.checked = true; });
+        expect(kris.validateField(boxes[3])).toBe(false);
+
+        boxes[0].checked = false;
+        select.options[1].selected = true;
+        expect(kris.validateAll()).toBe(true);
+        select.options[1].selected = false;
+        expect(kris.validateAll()).toBe(false);
+        expect(select.classList.contains('is-invalid')).toBe(true);
+
+        // Other rules see the select's own value, not the joined selection
+        select.options[0].selected = true;
+        select.options[1].selected = true;
+        expect(kris.validateField(select)).toBe(true);
+    });
+
+    it('should use the number locale in rules and computed values', () => {
+        const kris = createForm(`
+            <form data-locale="de-DE">
+                <input name="price" inputmode="decimal" value="1.234,50" data-validator="number,gt:1000">
+                <input name="qty" value="2">
+                <input name="deposit" inputmode="decimal" value="2.000" data-validator="ltefield:total">
+                <input name="total" data-compute="fields.price * fields.qty">
+                <input name="total_en" data-locale="en-US" data-compute="fields.price * fields.qty">
+                <input name="birth" value="15.03.2000" data-validator="datetime:02.01.2006">
+                <input name="age" data-compute="age(fields.birth, #2024-06-01#)">
+                <input name="code" value="12.34">
+                <input name="code_copy" data-compute="fields.code">
+            </form>
+        `);
+        const price = form.querySelector('[name="price"]');
+        const qty = form.querySelector('[name="qty"]');
+        const total = form.querySelector('[name="total"]');
+
+        expect(total.value).toBe('2.469');
+        expect(form.querySelector('[name="total_en"]').value).toBe('2,469');
+        // Only numeric fields are normalized: dates and plain text are read as typed
+        expect(form.querySelector('[name="age"]').value).toBe('24');
+        expect(form.querySelector('[name="code_copy"]').value).toBe('12.34');
+        expect(kris.validateField(price)).toBe(true);
+        expect(kris.validateField(form.querySelector('[name="deposit"]'))).toBe(true);
+
+        price.value = '0,5';
+        price.dispatchEvent(new Event('input', { bubbles: true }));
+        qty.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(total.value).toBe('1');
+        expect(kris.validateField(price)).toBe(false);
+    });
+
+    it('should score password strength and update the meter', () => {
+        const kris = createForm(`
+            <form>
+                <input name="username" value="kristina">
+                <div>
+                    <input name="password" data-validator="strength:3" data-strength-meter="#pw-meter">
+                    <div class="invalid-feedback"></div>
+                </div>
+                <meter id="pw-meter"></meter>
+            </form>
+        `, { validationMode: 'blur' });
+        const password = form.querySelector('[name="password"]');
+        const meter = form.querySelector('#pw-meter');
+        let detail = null;
+        form.addEventListener('krisform:strength', (e) => { detail = e.detail; });
+
+        password.value = 'kristina2024';
+        password.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(detail.valid).toBe(false);
+        expect(detail.suggestions.map(s => s.code)).toContain('personal');
+        expect(meter.value).toBe(detail.score);
+        expect(kris.validateField(password)).toBe(false);
+
+        password.value = 'Tr0ub4dor&3';
+        password.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(detail.score).toBe(3);
+        expect(detail.label).toBe('Strong');
+        expect(meter.getAttribute('data-score')).toBe('3');
+        expect(kris.validateField(password)).toBe(true);
+    });
+
+    it('should apply native constraint attributes and sync custom validity', () => {
+        const kris = createForm(`
+            <form>
+                <div><input name="code" pattern="[A-Z]{2}-\\d{3}" minlength="6" data-validator=""><div class="invalid-feedback"></div></div>
+                <div><input name="email" type="email" data-validator="" data-msg-email="Bad email"><div class="invalid-feedback"></div></div>
+                <div><input name="qty" type="number" min="1" max="10" step="0.5" data-validator=""><div class="invalid-feedback"></div></div>
+                <div><input name="from" type="date" min="2024-01-01" data-validator=""><div class="invalid-feedback"></div></div>
+                <input name="plain" required>
+            </form>
+        `);
+        const field = (name) => form.querySelector(`[name="${name}"]`);
+
+        field('code').value = 'ab-123';
+        expect(kris.validateField(field('code'))).toBe(false);
+        field('code').value = 'AB-123';
+        expect(kris.validateField(field('code'))).toBe(true);
+
+        field('email').value = 'nope';
+        expect(kris.validateField(field('email'))).toBe(false);
+        expect(field('email').validationMessage).toBe('Bad email');
+        expect(field('email').matches(':invalid')).toBe(true);
+        field('email').value = 'a@b.co';
+        kris.validateField(field('email'));
+        expect(field('email').validity.customError).toBe(false);
+
+        field('qty').value = '2.25';
+        expect(kris.validateField(field('qty'))).toBe(false);
+        field('qty').value = '11';
+        expect(kris.validateField(field('qty'))).toBe(false);
+        field('qty').value = '2.5';
+        expect(kris.validateField(field('qty'))).toBe(true);
+
+        field('from').value = '2023-12-31';
+        expect(kris.validateField(field('from'))).toBe(false);
+        field('from').value = '2024-01-01';
+        expect(kris.validateField(field('from'))).toBe(true);
+
+        // Fields without rules keep their native check on submit
+        let submitted = false;
+        form.addEventListener('submit', (e) => { submitted = !e.defaultPrevented; e.preventDefault(); });
+        form.requestSubmit();
+        expect(submitted).toBe(false);
+        field('plain').value = 'x';
+        form.requestSubmit();
+        expect(submitted).toBe(true);
+    });
+
+    it('should export the validation schema and convert it to JSON Schema', () => {
+        const kris = createForm(`
+            <form data-locale="de-DE">
+                <input name="email" type="email" required data-validator="max:100" data-msg-required="Email please">
+                <input name="qty" type="number" min="1" max="10" data-validator="">
+                <input type="checkbox" name="tags" value="a" data-validator="min_checked:1">
+                <input type="checkbox" name="tags" value="b">
+                <input name="note" data-warn="max:200" data-show-if="fields.qty > 5">
+                <input name="price" inputmode="decimal" min="5" data-validator="number,min:1">
+                <input name="free">
+            </form>
+        `, { dependencies: [{ source: 'email', condition: "value !== ''", action: 'enable', target: 'free' }] });
+
+        const schema = kris.exportSchema();
+        expect(Object.keys(schema.fields)).toEqual(['email', 'qty', 'tags', 'note', 'price']);
+        expect(schema.fields.email).toEqual({
+            type: 'email', rules: 'required,email,max:100', messages: { required: 'Email please' }, locale: 'de-DE'
+        });
+        expect(schema.fields.qty.rules).toBe('gte:"1",lte:"10"');
+        expect(schema.fields.tags.multiple).toBe(true);
+        expect(schema.fields.note.warn).toBe('max:200');
+        // Only the attributes its rules read ("min" is read by step, which price has not)
+        expect(schema.fields.price.attributes).toEqual({ inputmode: 'decimal' });
+        expect(schema.dependencies.length).toBe(2);
+
+        const result = KrisFormValidator.validateObject({ email: 'a@b.co', qty: 11, tags: [], price: '0,5' }, schema.fields);
+        expect(result.errors.map(e => e.field)).toEqual(['qty', 'tags', 'price']);
+
+        const json = KrisFormValidator.toJSONSchema(schema);
+        expect(json.required).toEqual(['email']);
+        expect(json.properties.email.format).toBe('email');
+        expect(json.properties.email.maxLength).toBe(100);
+        expect(json.properties.qty).toEqual({ type: 'number', minimum: 1, maximum: 10, 'x-krisform': schema.fields.qty });
+        expect(json.properties.tags.minItems).toBe(1);
+        expect(KrisFormValidator.fromJSONSchema(json)).toEqual(schema);
+    });
+
     it('should handle Async Remote validation', async () => {
         const originalFetch = window.fetch;
         let fetchUrl = '';
@@ -54,6 +54,20 @@ describe('Validator Engine', () => {
         expect(validator.validate('abc', 'required,min:3', el).valid).toBe(true);
     });
     
+    it('should collect every failing rule on request', () => {
+        const el = document.createElement('input');
+        const rules = 'min_upper:1,min_digit:1,min_symbol:1';
+
+        expect(validator.validate('abc', rules, el).failures.length).toBe(1);
+        const result = validator.validate('abc', rules, el, { all: true });
+        expect(result.failed).toBe('min_upper');
+        expect(result.failures).toEqual([
+            { rule: 'min_upper', param: '1' },
+            { rule: 'min_digit', param: '1' },
+            { rule: 'min_symbol', param: '1' }
+        ]);
+    });
+
     it('should validate complex rules (credit card)', () => {
          const el = document.createElement('input');
          // Luhn algorithm check
@@ -62,6 +76,409 @@ describe('Validator Engine', () => {
     });
 });
 
+describe('Validator Rule Registration', () => {
+    const el = document.createElement('input');
+
+    it('should register rules with params, normalize and empty semantics', () => {
+        const validator = new KrisFormValidator();
+        validator.registerRule('between', (val, p) => Number(val) >= Number(p.min) && Number(val) <= Number(p.max), {
+            params: ['min', 'max'],
+            message: 'Must be between %s'
+        });
+        validator.registerRule('digits_only', (val) => /^\d+$/.test(val), {
+            normalize: (val) => String(val).replace(/\s+/g, '')
+        });
+        validator.registerRule('filled', (val) => !!val, { runsOnEmpty: true });
+
+        expect(validator.validate('5', 'between:1;10', el).valid).toBe(true);
+        expect(validator.validate('11', 'between:1;10', el).failed).toBe('between');
+        expect(validator.getMessage('between', '1;10')).toBe('Must be between 1;10');
+        expect(validator.validate('12 34', 'digits_only', el).valid).toBe(true);
+        expect(validator.validate('', 'digits_only', el).valid).toBe(true); // Skipped on empty
+        expect(validator.validate('', 'filled', el).valid).toBe(false);
+    });
+
+    it('should override built-ins and keep registries apart', () => {
+        const validator = new KrisFormValidator();
+        const other = new KrisFormValidator();
+        validator.registerRule('email', (val) => String(val).endsWith('@corp.test'));
+        validator.registerRule('required', (val) => val === 'yes'); // Inherits "runs on empty"
+
+        expect(validator.validate('a@corp.test', 'email', el).valid).toBe(true);
+        expect(validator.validate('a@example.com', 'email', el).valid).toBe(false);
+        expect(other.validate('a@example.com', 'email', el).valid).toBe(true);
+        expect(validator.validate('', 'required', el).valid).toBe(false);
+
+        KrisFormValidator.registerRule('unit_even', (val) => Number(val) % 2 === 0);
+        try {
+            expect(other.validate('3', 'unit_even', el).valid).toBe(false);
+        } finally {
+            delete KrisFormValidator.RULES.unit_even;
+        }
+
+        let error = null;
+        try { validator.registerRule('bad-name', () => true); } catch (e) { error = e; }
+        expect(error !== null).toBe(true);
+    });
+
+    it('should run async rules outside the synchronous pass', async () => {
+        const validator = new KrisFormValidator();
+        validator.registerRule('slow_taken', (val) => Promise.resolve(val !== 'admin'), { async: true });
+
+        expect(validator.validate('admin', 'required,slow_taken', el).valid).toBe(true);
+        const [entry] = validator.getAsyncRules('required,slow_taken');
+        expect(entry.rule.name).toBe('slow_taken');
+        expect(await validator.runRule(entry.rule, 'admin', entry.param, el)).toBe(false);
+    });
+});
+
+describe('Validator Rule Grammar', () => {
+    const validator = new KrisFormValidator();
+    const el = document.createElement('input');
+
+    it('should parse params, quotes and escapes', () => {
+        const parse = (str) => validator.parseRules(str).map(r => [r.name, r.param]);
+
+        expect(parse('required, min:3')).toEqual([['required', null], ['min', '3']]);
+        expect(parse('oneof:a;b;c,required')).toEqual([['oneof', 'a;b;c'], ['required', null]]);
+        expect(parse('datetime:15:04')).toEqual([['datetime', '15:04']]);
+        expect(parse("oneof:'red,email'")).toEqual([['oneof', 'red,email']]);
+        expect(parse('contains:\\,')).toEqual([['contains', ',']]);
+        expect(parse('contains:" "')).toEqual([['contains', ' ']]);
+        // A comma ends a rule when a rule follows it, otherwise it continues the param
+        expect(parse('required_without:phone,email')).toEqual([['required_without', 'phone'], ['email', null]]);
+        expect(parse('oneof:a,b,c,required')).toEqual([['oneof', 'a,b,c'], ['required', null]]);
+        expect(parse('oneof:a, b,min:2')).toEqual([['oneof', 'a, b'], ['min', '2']]);
+        expect(parse('pattern:[0-9]{1,3}')).toEqual([['pattern', '[0-9]{1,3}']]);
+        expect(parse('oneof:"min,max"')).toEqual([['oneof', 'min,max']]);
+
+        expect(validator.validate('b', 'oneof:"a,b,c"', el).valid).toBe(true);
+        expect(validator.validate('d', 'oneof:"a,b,c"', el).valid).toBe(false);
+        expect(validator.validate('c', 'oneof:a,b,c', el).valid).toBe(true);
+        expect(validator.validate('d', 'oneof:a,b,c', el).valid).toBe(false);
+        expect(validator.validate('b', 'oneof:a;b;c', el).valid).toBe(true);
+        expect(validator.validate('green', 'oneof:red green', el).valid).toBe(true);
+        expect(validator.validate('red', 'neof:red green', el).valid).toBe(false);
+        expect(validator.validate('New York', 'oneof:"New York,Boston"', el).valid).toBe(true);
+        expect(validator.validate('New York', 'oneof:New York;Boston', el).valid).toBe(true);
+        expect(validator.validate('York', 'oneof:New York;Boston', el).valid).toBe(false);
+        expect(validator.validate('12:30', 'datetime:15:04', el).valid).toBe(true);
+        expect(validator.validate('a,b', 'contains:","', el).valid).toBe(true);
+    });
+
+    it('should map multiple params to registered rules', () => {
+        const own = new KrisFormValidator();
+        own.registerRule('in_range', (val, p) => Number(val) >= Number(p.min) && Number(val) <= Number(p.max), { params: ['min', 'max'] });
+
+        expect(own.validate('5', 'in_range:1;10', el).valid).toBe(true);
+        expect(own.validate('50', 'in_range:1;10', el).valid).toBe(false);
+        expect(own.validate('50', 'in_range:1;100,required', el).valid).toBe(true);
+
+        own.registerRule('between', (val, p) => Number(val) >= Number(p.min) && Number(val) <= Number(p.max), { params: ['min', 'max'] });
+        expect(own.parseRules('between:1,10,required').map(r => [r.name, r.param])).toEqual([['between', '1,10'], ['required', null]]);
+        expect(own.validate('5', 'between:1,10', el).valid).toBe(true);
+        expect(own.validate('50', 'between:1,10', el).valid).toBe(false);
+        expect(own.validate('', 'between:1,10,required', el).valid).toBe(false);
+    });
+
+    it('should reject unknown rules and malformed strings', () => {
+        const errorOf = (str) => {
+            try { validator.validate('x', str, el); } catch (e) { return e.message; }
+            return null;
+        };
+
+        expect(errorOf('required,emial')).toContain('Unknown validation rule "emial"');
+        expect(errorOf('oneof:"a,b')).toContain('Unterminated quote');
+        expect(errorOf('required,:5')).toContain('Invalid rule');
+        expect(errorOf('required,remote:users/check')).toBe(null);
+        expect(errorOf('min:3,maxx:5')).toContain('Unknown validation rule "maxx"');
+        expect(errorOf('oneof:a,b')).toBe(null);
+    });
+
+    it('should collect parse errors and keep the rules that parsed', () => {
+        const errors = [];
+        const parsed = validator.parseRules("required,emial,min:'3", errors);
+        expect(parsed.map(r => r.name)).toEqual(['required']);
+        expect(errors.length).toBe(2);
+        expect(errors[1]).toContain('Unterminated quote');
+    });
+});
+
+describe('Validator Remote Rule', () => {
+    it('should build GET and POST requests from the context', () => {
+        const validator = new KrisFormValidator();
+        const el = document.createElement('input');
+        el.name = 'login';
+        const requests = [];
+        const originalFetch = window.fetch;
+        window.fetch = (url, init) => {
+            requests.push({ url, init });
+            return new Promise(() => {});
+        };
+
+        try {
+            validator.rules.remote('a b', 'users/check', el, { endpoint: '/api/' });
+            validator.rules.remote('x', 'users/{value}', el, {});
+            validator.rules.remote('x', 'users/check', el, { method: 'post', body: 'json', headers: { 'X-Token': '1' } });
+        } finally {
+            window.fetch = originalFetch;
+        }
+
+        expect(requests[0].url).toBe('/api/users/check?value=a%20b');
+        expect(requests[0].init.method).toBe('GET');
+        expect(requests[1].url).toBe('users/x');
+        expect(requests[2].url).toBe('users/check');
+        expect(requests[2].init.method).toBe('POST');
+        expect(requests[2].init.body).toBe('{"value":"x","field":"login"}');
+        expect(requests[2].init.headers['X-Token']).toBe('1');
+    });
+});
+
+describe('Validator Number Locale', () => {
+    it('should read numbers in the locale of the field', () => {
+        const validator = new KrisFormValidator({ locale: 'de-DE' });
+        const input = document.createElement('input');
+        input.inputMode = 'decimal';
+
+        expect(validator.validate('1.234,50', 'number,min:1000,lt:2000', input).valid).toBe(true);
+        expect(validator.validate('999,99', 'min:1000', input).valid).toBe(false);
+        expect(validator.validate('1,2,3', 'number', input).valid).toBe(false);
+
+        const wrapper = document.createElement('div');
+        wrapper.setAttribute('data-locale', 'en-US');
+        wrapper.appendChild(input);
+        expect(validator.getLocale(input)).toBe('en-US');
+        expect(validator.validate('1,234.50', 'gt:1234', input).valid).toBe(true);
+    });
+});
+
+describe('Validator Date Rules', () => {
+    const validator = new KrisFormValidator();
+    const Utils = window.KrisFormUtils;
+    const fromToday = (days, layout) => {
+        const d = new Date();
+        d.setDate(d.getDate() + days);
+        return Utils.formatDate(d, layout);
+    };
+
+    it('should compare dates with fixed and relative bounds', () => {
+        const input = document.createElement('input');
+        input.setAttribute('data-validator', 'datetime:02.01.2006');
+
+        expect(validator.validate('15.03.2024', 'after:2024-01-01', input).valid).toBe(true);
+        expect(validator.validate('15.03.2024', 'before:01.03.2024', input).valid).toBe(false); // Bound in the field's layout
+        expect(validator.validate('31.02.2024', 'after:2024-01-01', input).valid).toBe(false);
+
+        expect(validator.validate(fromToday(0, '02.01.2006'), 'after_or_equal:today', input).valid).toBe(true);
+        expect(validator.validate(fromToday(0, '02.01.2006'), 'after:today', input).valid).toBe(false);
+        expect(validator.validate(fromToday(89, '02.01.2006'), 'before:today+90d', input).valid).toBe(true);
+        expect(validator.validate(fromToday(91, '02.01.2006'), 'before:today+90d', input).valid).toBe(false);
+        expect(validator.validate(fromToday(-1, '02.01.2006'), 'before_or_equal:yesterday', input).valid).toBe(true);
+    });
+
+    it('should compare against other date fields and check age', () => {
+        const form = document.createElement('form');
+        form.innerHTML = `
+            <input type="date" name="start_date" value="2024-05-10">
+            <input name="end_date" data-validator="datetime:02.01.2006,afterfield:start_date">
+            <input name="birthday" type="date">
+        `;
+        const end = form.querySelector('[name="end_date"]');
+
+        expect(validator.validate('11.05.2024', 'afterfield:start_date', end).valid).toBe(true);
+        expect(validator.validate('10.05.2024', 'afterfield:start_date', end).valid).toBe(false);
+        expect(validator.validate('01.05.2024', 'beforefield:start_date', end).valid).toBe(true);
+
+        form.querySelector('[name="start_date"]').value = '';
+        expect(validator.validate('01.01.2000', 'afterfield:start_date', end).valid).toBe(true); // Nothing to compare yet
+
+        const birthday = form.querySelector('[name="birthday"]');
+        const years = (n, days = 0) => {
+            const d = new Date();
+            d.setFullYear(d.getFullYear() - n);
+            d.setDate(d.getDate() + days);
+            return Utils.formatDate(d);
+        };
+        expect(validator.validate(years(18), 'age_min:18', birthday).valid).toBe(true);
+        expect(validator.validate(years(18, 1), 'age_min:18', birthday).valid).toBe(false);
+    });
+});
+
+describe('Validator Checksum Rules', () => {
+    const validator = new KrisFormValidator();
+    const el = { type: 'text' };
+    const valid = (value, rule) => validator.validate(value, rule, el).valid;
+
+    it('should verify banking numbers', () => {
+        expect(valid('DE89 3704 0044 0532 0130 00', 'iban')).toBe(true);
+        expect(valid('GB82 WEST 1234 5698 7654 32', 'iban')).toBe(true);
+        expect(valid('DE89 3704 0044 0532 0130 01', 'iban')).toBe(false); // Check digits
+        expect(valid('DE89 3704 0044 0532 0130', 'iban')).toBe(false); // Length for DE
+
+        expect(valid('DE136695976', 'vat:EU')).toBe(true);
+        expect(valid('FR40303265045', 'vat:EU')).toBe(true);
+        expect(valid('NL004495445B01', 'vat:EU')).toBe(true);
+        expect(valid('DE136695977', 'vat:EU')).toBe(false);
+        expect(valid('DE136695976', 'vat:AT;FR')).toBe(false);
+
+        expect(valid('5555 5555 5555 4444', 'credit_card')).toBe(true);
+        expect(valid('5555555555554444', 'credit_card:visa;mastercard')).toBe(true);
+        expect(valid('378282246310005', 'credit_card:visa;mastercard')).toBe(false);
+        expect(valid('5555555555554444', 'credit_card:visa,mastercard')).toBe(true);
+        expect(valid('DE136695976', 'vat:AT,DE')).toBe(true);
+        expect(KrisFormValidator.detectCardBrand('378282246310005')).toBe('amex');
+    });
+
+    it('should verify product codes and national IDs', () => {
+        expect(valid('978-3-16-148410-0', 'isbn')).toBe(true);
+        expect(valid('978-3-16-148410-1', 'isbn')).toBe(false);
+        expect(valid('0-306-40615-2', 'isbn10')).toBe(true);
+        expect(valid('4006381333931', 'ean13')).toBe(true);
+        expect(valid('036000291453', 'upc')).toBe(false);
+
+        expect(valid('7707083893', 'inn')).toBe(true);
+        expect(valid('7707083893', 'inn:12')).toBe(false);
+        expect(valid('500100732259', 'inn')).toBe(true);
+        expect(valid('112-233-445 95', 'snils')).toBe(true);
+        expect(valid('112-233-445 96', 'snils')).toBe(false);
+        expect(valid('1027700132195', 'ogrn')).toBe(true);
+        expect(valid('304500116000157', 'ogrn')).toBe(true);
+        expect(valid('666-12-3456', 'ssn')).toBe(false);
+    });
+});
+
+describe('Validator Password Strength', () => {
+    it('should penalise guessable patterns', () => {
+        expect(KrisFormValidator.scorePassword('').score).toBe(0);
+        expect(KrisFormValidator.scorePassword('P@ssw0rd!').suggestions).toContain('common');
+        expect(KrisFormValidator.scorePassword('qwerty123').suggestions).toContain('keyboard');
+        expect(KrisFormValidator.scorePassword('abcdefgh1234').suggestions).toContain('sequence');
+        expect(KrisFormValidator.scorePassword('aaaaaaaaaaaa').score).toBe(0);
+        expect(KrisFormValidator.scorePassword('johnsmith2024', ['john.smith@example.com']).suggestions).toContain('personal');
+        expect(KrisFormValidator.scorePassword('correcthorsebatterystaple').score).toBe(4);
+
+        const validator = new KrisFormValidator();
+        expect(validator.validate('password1', 'strength', {}).valid).toBe(false);
+        expect(validator.validate('Tr0ub4dor&3', 'strength:3', {}).valid).toBe(true);
+    });
+});
+
+describe('Validator Object Validation', () => {
+    it('should validate plain data against a schema without elements', () => {
+        const result = KrisFormValidator.validateObject(
+            { email: 'bad', age: 17, password: 'secret1', password_confirm: 'secret2', tags: [], terms: false },
+            {
+                email: 'required,email',
+                age: { type: 'number', rules: 'required,min:18' },
+                password_confirm: 'eqfield:password',
+                tags: { type: 'checkbox', rules: 'min_checked:1' },
+                terms: { type: 'checkbox', rules: 'required', messages: { required: 'Please accept the terms' } },
+                nickname: 'alpha'
+            }
+        );
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(e => `${e.field}:${e.rule}`)).toEqual(['email:email', 'age:min', 'password_confirm:eqfield', 'tags:min_checked', 'terms:required']);
+        expect(result.errors[4].message).toBe('Please accept the terms');
+    });
+
+    it('should read numbers, dates and related fields like the form would', () => {
+        const validator = new KrisFormValidator({ locale: 'de-DE' });
+        const schema = {
+            price: { rules: 'number,gt:1000' },
+            start: { type: 'date', rules: 'required' },
+            end: { type: 'date', rules: 'afterfield:start' },
+            vat_id: 'required_with:company',
+            qty: { type: 'number', rules: 'step:2', attributes: { min: 1 } }
+        };
+
+        const valid = validator.validateObject({ price: 1234.5, start: new Date(2026, 0, 10), end: '2026-01-15', qty: 5 }, schema);
+        expect(valid).toEqual({ valid: true, errors: [] });
+
+        const invalid = validator.validateObject({ price: '999,5', start: '2026-01-10', end: '2026-01-05', company: 'ACME', qty: 4 }, schema, { all: true });
+        expect(invalid.errors.map(e => e.field)).toEqual(['price', 'end', 'vat_id', 'qty']);
+    });
+
+    it('should keep enum values with spaces through JSON Schema', () => {
+        const doc = KrisFormValidator.fromJSONSchema({ properties: { city: { type: 'string', enum: ['New York', 'Boston'] } } });
+        expect(doc.fields.city.rules).toBe('oneof:"New York;Boston"');
+        expect(KrisFormValidator.validateObject({ city: 'New York' }, doc.fields).valid).toBe(true);
+        expect(KrisFormValidator.validateObject({ city: 'York' }, doc.fields).valid).toBe(false);
+
+        const json = KrisFormValidator.toJSONSchema({ city: 'oneof:New York;Boston', color: 'oneof:red green', town: 'oneof:"New York"' });
+        expect(json.properties.city.enum).toEqual(['New York', 'Boston']);
+        expect(json.properties.color.enum).toEqual(['red', 'green']);
+        expect(json.properties.town.enum).toEqual(['New York']);
+    });
+
+    it('should convert the valid rules of a field with a broken rule', () => {
+        const json = KrisFormValidator.toJSONSchema({ email: 'required,email,bogus' });
+        expect(json.required).toEqual(['email']);
+        expect(json.properties.email.format).toBe('email');
+        expect(json.properties.email['x-krisform'].rules).toBe('required,email,bogus');
+    });
+});
+
+describe('Validator Group Rules', () => {
+    const validator = new KrisFormValidator();
+    const el = { type: 'select-multiple' };
+
+    it('should count selected values', () => {
+        expect(validator.validate(['a', 'b'], 'min_checked:2', el).valid).toBe(true);
+        expect(validator.validate(['a'], 'min_checked:2', el).valid).toBe(false);
+        expect(validator.validate([], 'min_checked:1', el).valid).toBe(false); // Runs on empty
+        expect(validator.validate(['a', 'b', 'c'], 'max_checked:2', el).valid).toBe(false);
+        expect(validator.validate([], 'required', el).valid).toBe(false);
+        expect(validator.validate(['a'], 'required', el).valid).toBe(true);
+    });
+});
+
+describe('Validator File Rules', () => {
+    const validator = new KrisFormValidator();
+    const fileInput = (files) => ({ type: 'file', files });
+    const png = { name: 'photo.png', size: 300 * 1024, type: 'image/png' };
+    const pdf = { name: 'scan.pdf', size: 6 * 1024 * 1024, type: 'application/pdf' };
+
+    it('should check size, type and count of every file', () => {
+        expect(validator.validate('photo.png', 'max_size:5MB', fileInput([png])).valid).toBe(true);
+        expect(validator.validate('photo.png', 'max_size:5MB', fileInput([png, pdf])).valid).toBe(false);
+        expect(validator.validate('photo.png', 'min_size:500KB', fileInput([png])).valid).toBe(false);
+        expect(validator.validate('photo.png', 'mimes:image/png;application/pdf', fileInput([png, pdf])).valid).toBe(true);
+        expect(validator.validate('photo.png', 'mimes:image/*', fileInput([png, pdf])).valid).toBe(false);
+        expect(validator.validate('photo.png', 'ext:png;jpg', fileInput([png, pdf])).valid).toBe(false);
+        expect(validator.validate('photo.png', 'max_files:1', fileInput([png, pdf])).valid).toBe(false);
+        expect(validator.validate('', 'min_files:1', fileInput([])).valid).toBe(false); // Runs on empty
+    });
+
+    it('should read image dimensions locally', async () => {
+        const originalImage = window.Image;
+        const originalCreate = URL.createObjectURL;
+        const originalRevoke = URL.revokeObjectURL;
+        const sizes = { 'wide.png': [1200, 300], 'small.png': [100, 100] };
+        window.Image = class {
+            set src(url) {
+                [this.naturalWidth, this.naturalHeight] = sizes[url];
+                setTimeout(() => this.onload(), 0);
+            }
+        };
+        URL.createObjectURL = (file) => file.name;
+        URL.revokeObjectURL = () => {};
+
+        try {
+            const [entry] = validator.getAsyncRules('dimensions:min_width=200;max_height=2000');
+            expect(entry.param).toBe('min_width=200;max_height=2000');
+            const wide = fileInput([{ name: 'wide.png', size: 1, type: 'image/png' }]);
+            const small = fileInput([{ name: 'small.png', size: 1, type: 'image/png' }]);
+            expect(await validator.runRule(entry.rule, 'wide.png', entry.param, wide)).toBe(true);
+            expect(await validator.runRule(entry.rule, 'small.png', entry.param, small)).toBe(false);
+        } finally {
+            window.Image = originalImage;
+            URL.createObjectURL = originalCreate;
+            URL.revokeObjectURL = originalRevoke;
+        }
+    });
+});
+
 describe('Evaluator (Security & Logic)', () => {
     // Evaluator was exposed via our patch
     const Eval = window.KrisFormEvaluator;
@@ -125,6 +542,184 @@ describe('Evaluator (Security & Logic)', () => {
         // Nested logic inside functions
         expect(Eval.evaluate('max(10, 5 + 25)', null, () => {}, () => {})).toBe(30);
     });
+
+    it('should respect arithmetic precedence for all operators', () => {
+        expect(Eval.evaluate('2 + 3 * 4', null, () => {}, () => {})).toBe(14);
+        expect(Eval.evaluate('(2 + 3) * 4', null, () => {}, () => {})).toBe(20);
+        expect(Eval.evaluate('10 - 4 - 3', null, () => {}, () => {})).toBe(3);
+        expect(Eval.evaluate('20 / 4 % 3', null, () => {}, () => {})).toBe(2);
+        expect(Eval.evaluate('-value + 1', 5, () => {}, () => {})).toBe(-4);
+    });
+
+    it('should compare arithmetic on both sides of an operator', () => {
+        const fields = { a: '4', b: '5' };
+        const fieldProvider = (name) => fields[name];
+        expect(Eval.evaluate('fields.a + 1 > fields.b', null, () => {}, fieldProvider)).toBe(false);
+        expect(Eval.evaluate('fields.a + 2 > fields.b', null, () => {}, fieldProvider)).toBe(true);
+        expect(Eval.evaluate('fields.a * fields.b', null, () => {}, fieldProvider)).toBe(20);
+    });
+
+    it('should read hyphenated and non-ASCII field names', () => {
+        const fields = { 'first-name': 'Ann', 'имя': 'Иван', qty: '5' };
+        const fieldProvider = (name) => fields[name];
+        expect(Eval.evaluate("fields.first-name === 'Ann'", null, () => {}, fieldProvider)).toBe(true);
+        expect(Eval.evaluate("fields.имя === 'Иван'", null, () => {}, fieldProvider)).toBe(true);
+        expect(Eval.evaluate('fields.qty - 1', null, () => {}, fieldProvider)).toBe(4);
+    });
+
+    it('should support unary NOT and ternary expressions', () => {
+        expect(Eval.evaluate('!(value > 5)', 10, () => {}, () => {})).toBe(false);
+        expect(Eval.evaluate("value > 5 ? 'big' : 'small'", 3, () => {}, () => {})).toBe('small');
+        expect(Eval.evaluate("value > 5 ? value * 2 : value > 1 ? 1 : 0", 3, () => {}, () => {})).toBe(1);
+    });
+
+    it('SECURITY: should reject non-whitelisted calls and syntax errors at parse time', () => {
+        let error = null;
+        try { Eval.parse('fields.a.toString()'); } catch (e) { error = e; }
+        expect(!!error).toBe(true);
+
+        error = null;
+        try { Eval.parse('value > '); } catch (e) { error = e; }
+        expect(!!error).toBe(true);
+    });
+
+    it('should compile expressions once and reuse them', () => {
+        const compiled = Eval.compile('value * 2 + fields.extra');
+        expect(Eval.compile('value * 2 + fields.extra')).toBe(compiled);
+        expect(compiled.evaluate({ value: 5 }, () => 1)).toBe(11);
+        expect(compiled.evaluate({ value: 1 }, () => 0)).toBe(2);
+    });
+
+    it('should bound the compiled expression cache', () => {
+        for (let i = 0; i < 600; i++) Eval.compile(`value + ${i}`);
+        expect(Eval._cache.size <= 500).toBe(true);
+        expect(Eval.compile('value + 599').evaluate({ value: 1 }, () => null)).toBe(600);
+    });
+
+    it('should throw the cached syntax error on every compile', () => {
+        let first = null, second = null;
+        try { Eval.compile('value >> 1'); } catch (e) { first = e; }
+        try { Eval.compile('value >> 1'); } catch (e) { second = e; }
+        expect(!!first).toBe(true);
+        expect(second).toBe(first);
+    });
+
+    it('should provide the standard function library', () => {
+        const run = (expr, value = null) => Eval.evaluate(expr, value, () => {}, () => {});
+        expect(run('round(1.005, 2)')).toBe(1.01);
+        expect(run('floor(2.7) + ceil(2.1) + abs(-1)')).toBe(6);
+        expect(run('sum(value, 5)', ['1', '2'])).toBe(8);
+        expect(run('avg(2, 4)')).toBe(3);
+        expect(run('count(value)', ['a', 'b', 'c'])).toBe(3);
+        expect(run('len(value)', 'hello')).toBe(5);
+        expect(run("if(value > 1, 'many', 'one')", 2)).toBe('many');
+        expect(run("coalesce(value, 'n/a')", '')).toBe('n/a');
+        expect(run("upper(trim(value))", '  ok ')).toBe('OK');
+        expect(run("number('12.5') * 2")).toBe(25);
+    });
+
+    it('should call registered functions only', () => {
+        Eval.registerFunction('taxBand', (amount) => amount > 1000 ? 0.2 : 0.1);
+        try {
+            expect(Eval.evaluate('value * taxBand(value)', 2000, () => {}, () => {})).toBe(400);
+
+            // Per-instance registry shadows global functions
+            const local = Object.create(null);
+            Eval.registerFunction('taxBand', () => 0, {}, local);
+            expect(Eval.evaluate('taxBand(value)', 2000, () => {}, () => {}, local)).toBe(0);
+        } finally {
+            delete Eval.FUNCTIONS.taxBand;
+        }
+
+        expect(Eval.evaluate('shippingTier(value)', 1, () => {}, () => {})).toBe(null);
+    });
+
+    it('should reject unknown functions at compile time', () => {
+        let error = null;
+        try {
+            Eval.compile('value * shippingTier(value)');
+        } catch (e) {
+            error = e;
+        }
+        expect(error && error.code).toBe('unknown_function');
+
+        const local = Object.create(null);
+        Eval.registerFunction('shippingTier', (total) => total >= 100 ? 0 : 15, {}, local);
+        expect(Eval.compile('value * shippingTier(value)', local).evaluate({ value: 10 }, () => {}, local)).toBe(150);
+    });
+
+    it('should memoize pure registered functions', () => {
+        let calls = 0;
+        const local = Object.create(null);
+        Eval.registerFunction('slowSquare', (x) => { calls++; return x * x; }, { pure: true }, local);
+        expect(Eval.evaluate('slowSquare(3) + slowSquare(3)', null, () => {}, () => {}, local)).toBe(18);
+        expect(calls).toBe(1);
+    });
+
+    it('should support date literals, functions and comparisons', () => {
+        const run = (expr, value = null) => Eval.evaluate(expr, value, () => {}, () => {});
+        expect(run('diffDays(#2024-01-01#, #2024-03-01#)')).toBe(60);
+        expect(run("diffDays(value, addDays(value, 30)) === 30", '2024-05-10')).toBe(true);
+        expect(run("age(value, #2024-06-01#)", '2006-06-02')).toBe(17);
+        expect(run("age(value, #2024-06-01#)", '2006-06-01')).toBe(18);
+        expect(run("date(value) < #2024-01-01#", '2023-12-31')).toBe(true);
+        expect(run("date('31.01.2024', '02.01.2006') === #2024-01-31#")).toBe(true);
+        expect(run("month(addMonths(#2024-01-31#, 1)) + day(addMonths(#2024-01-31#, 1))")).toBe(31);
+        expect(run("date(value) > today()", '')).toBe(false);
+        expect(run("age(value) < 18", 'not a date')).toBe(false);
+        expect(run("age(value) >= 18", 'not a date')).toBe(false);
+    });
+
+    it('should aggregate repeated fields with lambdas', () => {
+        const items = [{ price: '10', qty: '2' }, { price: '5', qty: '1' }];
+        const fieldProvider = () => null;
+        fieldProvider.collect = (name, path) => name === 'items'
+            ? items.map(item => path.length ? item[path[0]] : item)
+            : [];
+        const run = (expr) => Eval.evaluate(expr, null, () => {}, fieldProvider);
+
+        expect(run('sum(fields.items[].price)')).toBe(15);
+        expect(run('sum(fields.items[], x => x.price * x.qty)')).toBe(25);
+        expect(run('count(fields.items[])')).toBe(2);
+        expect(run('any(fields.items[], x => x.qty > 1)')).toBe(true);
+        expect(run('all(fields.items[], x => x.qty > 1)')).toBe(false);
+        expect(run('count(fields.missing[])')).toBe(0);
+        expect(run('max(fields.items[].price)')).toBe(10);
+        expect(run('max(fields.missing[])')).toBe(null);
+        expect(run('min()')).toBe(null);
+    });
+});
+
+describe('Utils', () => {
+    const Utils = window.KrisFormUtils;
+
+    it('should parse and format dates with Go-style layouts', () => {
+        const d = Utils.parseDate('31.12.2023 18:45', '02.01.2006 15:04');
+        expect(d.getFullYear()).toBe(2023);
+        expect(d.getMonth()).toBe(11);
+        expect(d.getHours()).toBe(18);
+        expect(Utils.formatDate(d, '2006-01-02T15:04')).toBe('2023-12-31T18:45');
+
+        expect(Utils.parseDate('31.02.2023', '02.01.2006')).toBe(null); // overflow
+        expect(Utils.parseDate('2023-12-31', '02.01.2006')).toBe(null); // wrong layout
+        expect(Utils.formatDate(Utils.parseDate('2024-02-29'))).toBe('2024-02-29');
+    });
+
+    it('should parse and format localized numbers', () => {
+        expect(Utils.parseNumber('1.234,50', 'de-DE')).toBe(1234.5);
+        expect(Utils.parseNumber('1 234,50', 'fr-FR')).toBe(1234.5);
+        expect(Utils.parseNumber('1,234.50', 'en-US')).toBe(1234.5);
+        expect(isNaN(Utils.parseNumber('12abc', 'de-DE'))).toBe(true);
+        expect(Utils.parseNumber('1234.5')).toBe(1234.5); // No locale: Number()
+
+        expect(Utils.normalizeNumber('1.234,5', 'de-DE')).toBe('1234.5');
+        expect(Utils.normalizeNumber('007', 'de-DE')).toBe('007');
+        expect(Utils.normalizeNumber('Berlin', 'de-DE')).toBe('Berlin');
+
+        expect(Utils.formatNumber(1234.5, 'de-DE')).toBe('1.234,5');
+        expect(Utils.formatNumber(-0.25, 'de-DE')).toBe('-0,25');
+        expect(Utils.formatNumber(1234.5)).toBe(1234.5);
+    });
 });
 
 describe('Validator Advanced Patterns', () => {